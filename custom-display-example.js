@@ -23,11 +23,37 @@
  *   {
  *     lat, lon, heading, gpsTimestamp,
  *     speed, speedMph, speedKph, speedKnots,
+ *     speedAlert, speedAlertLevel, speedAlertThreshold,
  *     speedMin, speedMax, speedAvg,
+ *     movingSeconds, stoppedSeconds, speedAvgMoving, speedAvgElapsed,
+ *     sessionMovingSeconds, sessionStoppedSeconds, sessionSpeedAvgMoving, sessionSpeedAvgElapsed,
+ *     speedBands, speedRolling,
+ *     vehicleId, vehicleName, vehicleWeightKg, speedCorrection,
  *     accelCurrent, decelCurrent, peakAccel, peakDecel,
  *     distanceMeters, distanceKm, distanceMiles,
+ *     odometerMeters, tripCount,
+ *     tripAMeters, tripASeconds, tripAMovingSeconds, tripAAvgSpeed,
+ *     tripBMeters, tripBSeconds, tripBMovingSeconds, tripBAvgSpeed,
+ *     tripMeters, tripSeconds, tripMovingSeconds, tripAvgSpeed,
  *     quarterStatus, quarterLast, quarterBest,
+ *     dragPhase, drag60ft, drag330ft, dragEighth, dragEighthTrap,
+ *     drag1000ft, dragQuarter, dragQuarterTrap, dragErrors, dragRunCount,
+ *     brakePhase, brakeStatus, brakeEntrySpeed, brakeDistance, brakeDistanceNominal,
+ *     brakeTime, brakeMeanDecel, brakeMeanG, brakePeakDecel, brakePeakG, brakeRunCount,
  *     zeroSixtyLast, zeroSixtyBest,
+ *     lapPhase, lapStatus, lapLayout, lapNumber, lapCurrent, lapCurrentSectors,
+ *     lapDelta, lapPredicted,
+ *     lapLast, lapLastError, lapLastSectors, lapBest, lapBestError, lapBestSectors, lapCount,
+ *     speedRanges: { "<from>-<to>-<unit>": { label, status, lastTime, lastError, bestTime, bestError, history } },
+ *     satellites, satellitesInView, hdop, fixQuality,
+ *     speedRaw, speedFiltered, accelRaw, accelFiltered, filterEnabled,
+ *     fixesAccepted, fixesRejected, fixRejectReason, stationary,
+ *     altitude, altitudeFeet, verticalSpeedMpm, verticalSpeedFpm, grade,
+ *     ascentMeters, descentMeters,
+ *     gLong, gLat, gPeak, gSource,
+ *     signalRateHz, signalJitterMs, signalAccuracy, signalAltitudeAccuracy,
+ *     signalAgeSeconds, speedSource, signalWeak,
+ *     signalLost, signalLostReason, signalLostSeconds,
  *     sessionSeconds, updatedAt
  *   }
  *
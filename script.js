@@ -2,14 +2,182 @@
 
 const EARTH_RADIUS_M = 6371000;
 const QUARTER_MILE_M = 402.336;
-const ZERO_TO_SIXTY_TARGET_MS = 26.8224; // 60 mph in m/s
+const DRAG_STAGE_SPEED_MS = 0.5;
+const DRAG_STAGE_HOLD_S = 2;
+const DRAG_ROLLOUT_M = 0.3048;
+const DRAG_RUN_TIMEOUT_S = 60;
+const DRAG_STAGE_RADIUS_M = 15;
+const DRAG_SPLITS = [
+  { key: "60ft", label: "60 ft", distance: 18.288 },
+  { key: "330ft", label: "330 ft", distance: 100.584 },
+  { key: "eighth", label: "1/8 mile", distance: 201.168, trap: true },
+  { key: "1000ft", label: "1000 ft", distance: 304.8 },
+  { key: "quarter", label: "1/4 mile", distance: QUARTER_MILE_M, trap: true },
+];
+const TIMER_MAX_SAMPLE_GAP_S = 5;
+const BRAKE_ONSET_MS2 = 2.5;
+const BRAKE_STOP_SPEED_MS = 0.5;
+const BRAKE_ABORT_GAIN_MS = 1;
+const BRAKE_TIMEOUT_S = 30;
+const BRAKE_START_SPEEDS = {
+  "60-mph": { value: 60, unit: "mph" },
+  "100-kph": { value: 100, unit: "kph" },
+  "50-mph": { value: 50, unit: "mph" },
+  "80-kph": { value: 80, unit: "kph" },
+  "30-mph": { value: 30, unit: "mph" },
+  "50-kph": { value: 50, unit: "kph" },
+};
+const SPEED_RANGE_STANDSTILL_MS = 0.5;
+const SPEED_RANGE_HISTORY_LENGTH = 10;
+const SPEED_RANGE_DEFAULTS = [
+  { from: 0, to: 60, unit: "mph" },
+  { from: 0, to: 100, unit: "kph" },
+];
 const LOCAL_STORAGE_PREFIX = "wb_speedometer_";
+const STORAGE_SCHEMA_KEY = "schema_version";
+const STORAGE_SCHEMA_VERSION = 3;
+const STORAGE_FLUSH_DELAY_MS = 1000;
+const STORAGE_FLUSH_MAX_WAIT_MS = 5000;
+// Each migration upgrades localStorage from the version before it. Data saved
+// before the schema version was introduced counts as version 1.
+const STORAGE_MIGRATIONS = [
+  { version: 2, migrate: migrateTripOdometer },
+  { version: 3, migrate: migrateVehicleScopedKeys },
+];
+// Stored per vehicle as `<key>:<vehicle id>`; everything else is shared.
+const VEHICLE_SCOPED_KEYS = [
+  "speed_stats",
+  "speed_histogram",
+  "speed_rolling",
+  "acceleration",
+  "distance",
+  "trips",
+  "speed_ranges",
+  "gmeter_calibration",
+];
+const VEHICLE_CORRECTION_MIN = 0.8;
+const VEHICLE_CORRECTION_MAX = 1.2;
+const BACKUP_FORMAT = "web-speedometer-backup";
+const TELEMETRY_DB_NAME = "wb_speedometer";
+const TELEMETRY_DB_VERSION = 5;
+const SESSION_STORE_NAME = "sessions";
+const SESSION_SAMPLE_STORE_NAME = "session_samples";
+const RUN_STORE_NAME = "runs";
+const RUN_SAMPLE_STORE_NAME = "run_samples";
+const TRACK_STORE_NAME = "tracks";
+const DISPLAY_STORE_NAME = "displays";
+// Recorded sessions are left out: they can be large and have their own exports.
+const BACKUP_DATABASE_STORES = {
+  runs: RUN_STORE_NAME,
+  runSamples: RUN_SAMPLE_STORE_NAME,
+  tracks: TRACK_STORE_NAME,
+  displays: DISPLAY_STORE_NAME,
+};
+const TRACK_DETECT_RADIUS_M = 1500;
+const TRACK_DETECT_HYSTERESIS_M = 250;
+const TRACK_LINE_FIELDS = ["mode", "start", "finish", "sectors", "dragStart"];
+const TRACK_EXPORT_FORMAT = "web-speedometer-tracks";
+const RUN_BUFFER_S = 600;
+const RUN_SAMPLE_PADDING_MS = 2000;
+const RUN_KIND_LABELS = { speedRange: "Speed range", drag: "Drag", brake: "Braking", lap: "Lap" };
+const DEFAULT_VEHICLE_PROFILE = "default";
+const LAP_LINE_WIDTH_M = 30;
+const LAP_MIN_TIME_S = 10;
+const LAP_HEADING_MIN_MOVE_M = 3;
+const LAP_LIST_LENGTH = 10;
+const LAP_DELTA_BAR_RANGE_S = 2;
+const LAP_DELTA_SEARCH_M = 200; // how far along the reference lap to look ahead of the last match
+const LAP_DELTA_MAX_OFFSET_M = 50;
+const LAP_MODES = { circuit: "Circuit", sprint: "Point-to-point" };
+const SESSION_FLUSH_INTERVAL_MS = 15000;
+const SESSION_EXPORT_FORMATS = {
+  gpx: { label: "GPX", extension: "gpx", mimeType: "application/gpx+xml", build: buildGpxDocument },
+  tcx: { label: "TCX", extension: "tcx", mimeType: "application/vnd.garmin.tcx+xml", build: buildTcxDocument },
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv", build: buildCsvDocument },
+  geojson: { label: "GeoJSON", extension: "geojson", mimeType: "application/geo+json", build: buildGeoJsonDocument },
+};
+const REPLAY_RATES = [0.5, 1, 2, 4, 8, 16];
+const REPLAY_SEEK_STEPS = 1000;
+const REPLAY_SEEK_STATUS = "Aborted (replay seek)";
+const SYNTHETIC_ROUTE_ORIGIN = { lat: 51.5074, lon: -0.1278 };
+const SYNTHETIC_ROUTE_RADIUS_M = 400;
+const SYNTHETIC_ROUTE_TOP_SPEED_MS = 30;
+const SYNTHETIC_ROUTE_INTERVAL_MS = 1000;
+const NMEA_UERE_M = 5; // typical user-equivalent range error used to turn HDOP into metres
+const NMEA_EPOCH_IDLE_MS = 25;
+const NMEA_TALKERS = { GP: "GPS", GL: "GLONASS", GA: "Galileo", GB: "BeiDou", BD: "BeiDou", GQ: "QZSS", GI: "NavIC", GN: "GNSS" };
+const NMEA_SYSTEM_IDS = { 1: "GP", 2: "GL", 3: "GA", 4: "GB", 5: "GQ", 6: "GI" };
+const NMEA_FIX_QUALITY_LABELS = ["Invalid", "GPS", "DGPS", "PPS", "RTK Fixed", "RTK Float", "Estimated", "Manual", "Simulation"];
+const KALMAN_JERK_DENSITY = 0.5; // m^2/s^5, how quickly acceleration is allowed to change
+const KALMAN_SPEED_VARIANCE = 0.25; // (m/s)^2 for Doppler speed reported by the receiver
+const KALMAN_DEFAULT_ACCURACY_M = 15;
+const KALMAN_MIN_ACCURACY_M = 1;
+const KALMAN_INITIAL_VELOCITY_VARIANCE = 25;
+const KALMAN_INITIAL_ACCEL_VARIANCE = 4;
+const KALMAN_STATIONARY_SPEED_MS = 0.3;
+const KALMAN_MAX_GAP_S = 5;
+const FIX_GATE_MAX_CONSECUTIVE_REJECTS = 5;
+const FIX_GATE_REFERENCE_TTL_S = 10;
+const STATIONARY_SPEED_MS = 0.5;
+const STATIONARY_MIN_RADIUS_M = 5;
+const STATIONARY_HOLD_S = 3;
+const STATIONARY_EXIT_FACTOR = 2;
+const FEET_PER_METER = 3.28084;
+const ELEVATION_SMOOTHING_S = 4;
+const VERTICAL_SPEED_SMOOTHING_S = 6;
+const ELEVATION_HYSTERESIS_M = 3;
+const GRADE_WINDOW_M = 100;
+const GRADE_MIN_RUN_M = 30;
+const GRADE_SAMPLE_SPACING_M = 5;
+const STANDARD_GRAVITY = 9.80665;
+const GMETER_SMOOTHING_S = 0.15;
+const GMETER_BIAS_GAIN = 0.2;
+const GMETER_YAW_LEARN_ACCEL = 1.0; // m/s^2 of GPS acceleration before a sample teaches the forward axis
+const GMETER_MIN_HEADING_SPEED_MS = 3;
+const GMETER_CALIBRATION_MS = 2000;
+const GMETER_CALIBRATION_MIN_SAMPLES = 10;
+const GMETER_CALIBRATION_MAX_SPREAD = 0.6;
+const GMETER_SENSOR_TIMEOUT_MS = 1000;
+const GMETER_PUBLISH_INTERVAL_MS = 100;
+const GMETER_ENVELOPE_BUCKETS = 36;
+const GMETER_TRAIL_LENGTH = 300;
+const GMETER_MAX_G = 1.5;
+const SIGNAL_INTERVAL_WINDOW = 20;
+const SIGNAL_HISTORY_LENGTH = 120;
+const SIGNAL_WEAK_ACCURACY_M = 20;
+const SIGNAL_MIN_RATE_HZ = 0.5;
+const SIGNAL_STALE_S = 3;
+const GEOLOCATION_PERMISSION_DENIED = 1;
+const SIGNAL_LOSS_REASONS = { 2: "unavailable", 3: "timeout" };
+const SIGNAL_LOSS_LABELS = { unavailable: "position unavailable", timeout: "timed out", unknown: "no fixes" };
+const MOVING_SPEED_MS = 0.5;
+const MOTION_MAX_GAP_S = 60;
+const TRIP_MIN_DISTANCE_M = 50;
+const SPEED_BIN_MS = 0.1;
+const DEFAULT_SPEED_BAND_EDGES = "30, 50, 70, 90, 110";
+const SPEED_BAND_MAX_EDGES = 12;
+const ROLLING_BUCKET_S = 5;
+const ROLLING_WINDOWS_S = [60, 300, 900];
+const SPEED_ALERT_MAX_THRESHOLDS = 5;
+// Stored as { value, unit } in the unit they were entered in.
+const SPEED_SETTINGS = ["speedAlertThresholds", "speedAlertHysteresis"];
+const SPEED_ALERT_BEEP_S = 0.15;
+const SPEED_ALERT_TONES = {
+  warning: { frequency: 880, beeps: 1 },
+  critical: { frequency: 1320, beeps: 3 },
+};
+const TRIP_HISTORY_LENGTH = 20;
+const SOURCE_RETRY_INITIAL_MS = 2000;
+const SOURCE_RETRY_MAX_MS = 30000;
+const EXPORT_NAMESPACE_URI = "https://ronnie-reagan.github.io/web_based-speedometer/xmlschemas/telemetry/v1";
 
 const elements = {
   lat: byId("lat"),
   lon: byId("lon"),
   heading: byId("heading"),
   speedPrimary: byId("speed-primary"),
+  speedHero: byId("speed-hero"),
+  mirrorPage: byId("mirror-page"),
   speedUnit: byId("speed-unit-label"),
   speedUpdated: byId("speed-updated"),
   speedMps: byId("speed"),
@@ -19,21 +187,122 @@ const elements = {
   speedMin: byId("speed-min"),
   speedMax: byId("speed-max"),
   speedAvg: byId("speed-avg"),
+  motionAllTime: byId("motion-all-time"),
+  motionSession: byId("motion-session"),
+  positionMotion: byId("position-motion"),
+  vehicleSelect: byId("vehicle-select"),
+  vehicleForm: byId("vehicle-form"),
+  vehicleAdd: byId("vehicle-add"),
+  vehicleDelete: byId("vehicle-delete"),
+  leaderboardVehicles: byId("leaderboard-vehicles"),
+  leaderboardCompare: byId("leaderboard-compare"),
+  backupExport: byId("backup-export"),
+  backupImport: byId("backup-import"),
+  speedBandTime: byId("speed-band-time"),
+  speedBandDistance: byId("speed-band-distance"),
+  speedRolling: byId("speed-rolling"),
   accel: byId("accel"),
   decel: byId("decel"),
   peakAccel: byId("peak-accel"),
   peakDecel: byId("peak-decel"),
   distanceTotal: byId("distance-total"),
   sessionDuration: byId("session-duration"),
+  satellites: byId("gnss-satellites"),
+  hdop: byId("gnss-hdop"),
+  fixQuality: byId("gnss-fix-quality"),
+  fixCounts: byId("fix-counts"),
+  altitude: byId("altitude"),
+  verticalSpeed: byId("vertical-speed"),
+  grade: byId("grade"),
+  elevationTotals: byId("elevation-totals"),
+  gmeterCanvas: byId("gmeter-canvas"),
+  gmeterLong: byId("gmeter-long"),
+  gmeterLat: byId("gmeter-lat"),
+  gmeterPeak: byId("gmeter-peak"),
+  gmeterSource: byId("gmeter-source"),
+  gmeterStatus: byId("gmeter-status"),
+  gmeterCalibrate: byId("gmeter-calibrate"),
+  gmeterResetPeak: byId("gmeter-reset-peak"),
+  signalRate: byId("signal-rate"),
+  signalJitter: byId("signal-jitter"),
+  signalAccuracy: byId("signal-accuracy"),
+  signalAltitudeAccuracy: byId("signal-altitude-accuracy"),
+  signalAge: byId("signal-age"),
+  signalSpeedSource: byId("signal-speed-source"),
+  signalStatus: byId("signal-status"),
+  signalChart: byId("signal-chart"),
+  signalBanner: byId("signal-banner"),
+  permissionRecovery: byId("permission-recovery"),
+  permissionRetry: byId("permission-retry"),
+  permissionDismiss: byId("permission-dismiss"),
   quarterStatus: byId("quarter-status"),
   quarterLast: byId("quarter-last"),
   quarterBest: byId("quarter-best"),
-  zeroSixtyLast: byId("zero-sixty-last"),
-  zeroSixtyBest: byId("zero-sixty-best"),
+  dragStatus: byId("drag-status"),
+  dragTimeslip: byId("drag-timeslip"),
+  dragRunList: byId("drag-run-list"),
+  brakeStatus: byId("brake-status"),
+  brakeEntrySpeed: byId("brake-entry-speed"),
+  brakeDistance: byId("brake-distance"),
+  brakeDistanceNominal: byId("brake-distance-nominal"),
+  brakeNominalLabel: byId("brake-nominal-label"),
+  brakeTime: byId("brake-time"),
+  brakeMeanDecel: byId("brake-mean-decel"),
+  brakePeakDecel: byId("brake-peak-decel"),
+  brakeRunList: byId("brake-run-list"),
+  odometer: byId("odometer"),
+  tripCurrent: byId("trip-current"),
+  tripA: byId("trip-a"),
+  tripB: byId("trip-b"),
+  tripList: byId("trip-list"),
+  tripMeters: byId("trip-meters"),
+  lapStatus: byId("lap-status"),
+  lapCurrent: byId("lap-current"),
+  lapNumber: byId("lap-number"),
+  lapLast: byId("lap-last"),
+  lapBest: byId("lap-best"),
+  lapSectors: byId("lap-sectors"),
+  lapList: byId("lap-list"),
+  lapMode: byId("lap-mode"),
+  lapSetStart: byId("lap-set-start"),
+  lapSetFinish: byId("lap-set-finish"),
+  lapAddSector: byId("lap-add-sector"),
+  lapClear: byId("lap-clear"),
+  lapLayout: byId("lap-layout"),
+  lapLineForm: byId("lap-line-form"),
+  trackActive: byId("track-active"),
+  trackSaveForm: byId("track-save-form"),
+  trackDragStart: byId("track-drag-start"),
+  trackList: byId("track-list"),
+  trackExport: byId("track-export"),
+  trackImport: byId("track-import"),
+  lapDelta: byId("lap-delta"),
+  lapDeltaBar: byId("lap-delta-bar"),
+  mirrorLapDelta: byId("mirror-lap-delta"),
+  mirrorLapDeltaValue: byId("mirror-lap-delta-value"),
+  mirrorLapDeltaBar: byId("mirror-lap-delta-bar"),
+  leaderboardEvent: byId("leaderboard-event"),
+  leaderboardSort: byId("leaderboard-sort"),
+  leaderboardShowInvalid: byId("leaderboard-show-invalid"),
+  leaderboardList: byId("leaderboard-list"),
+  speedRangeList: byId("speed-range-list"),
+  speedRangeEditor: byId("speed-range-editor"),
+  speedRangeForm: byId("speed-range-form"),
   startButton: byId("start"),
   resetButton: byId("reset-stats"),
   mirrorKph: byId("mirror-speed-kph"),
   mirrorMph: byId("mirror-speed-mph"),
+  sessionList: byId("session-list"),
+  replayUpload: byId("replay-upload"),
+  replayToggle: byId("replay-toggle"),
+  replaySeek: byId("replay-seek"),
+  replayRate: byId("replay-rate"),
+  replayStatus: byId("replay-status"),
+  replayPanel: byId("replay-panel"),
+  replayPasteInput: byId("replay-paste-input"),
+  replayPasteLoad: byId("replay-paste-load"),
+  sourceSelect: byId("position-source"),
+  sourceUrl: byId("position-source-url"),
   unitToggle: document.querySelector("[data-speed-toggle]"),
 };
 
@@ -49,6 +318,10 @@ const displayElements = {
 };
 
 const SPEED_UNIT_STORAGE_KEY = "speed_unit";
+const POSITION_SOURCE_STORAGE_KEY = "position_source";
+const POSITION_SOURCE_URL_STORAGE_KEY = "position_source_url";
+const DEFAULT_POSITION_SOURCE = "geolocation";
+const DEFAULT_POSITION_SOURCE_URL = "ws://localhost:2947";
 const DEFAULT_SPEED_UNIT = "mph";
 const SPEED_UNITS = {
   mps: { label: "m/s", decimals: 2, heroDecimals: 2, fromBase: value => value },
@@ -56,19 +329,54 @@ const SPEED_UNITS = {
   kph: { label: "km/h", decimals: 2, heroDecimals: 1, fromBase: value => value * 3.6 },
 };
 
+const storage = createStorage();
+const vehicleStore = createVehicleStore();
 const speedStatsStore = createSpeedStatsStore();
+const speedHistogramStore = createSpeedHistogramStore();
+const rollingSpeedStore = createRollingSpeedStore();
+const speedAlert = createSpeedAlert();
+const speedAlertTone = createAlertTone();
 const accelerationStore = createAccelerationStore();
 const distanceStore = createDistanceStore();
-const quarterMileTracker = createQuarterMileTracker();
-const zeroSixtyTracker = createZeroSixtyTracker();
+const tripStore = createTripStore();
+const runHistory = createRunHistory({ onChange: refreshRunViews });
+const dragStrip = createDragStrip(runHistory);
+const brakeTest = createBrakeTest(runHistory);
+const speedRangeTimers = createSpeedRangeTimers(runHistory);
+const lapTimer = createLapTimer(runHistory);
+const trackLibrary = createTrackLibrary({ onChange: renderTrackLibrary });
+const sessionRecorder = createSessionRecorder();
+const settingsStore = createSettingsStore();
+const kalmanFilter = createKalmanFilter();
+const fixQualityGate = createFixQualityGate();
+const elevationStore = createElevationStore();
+const gMeter = createGMeter();
+const signalMonitor = createSignalMonitor();
+const positionSources = {
+  geolocation: createGeolocationSource(),
+  replay: createReplaySource({
+    onSeek: handleReplaySeek,
+    onChange: renderReplayState,
+  }),
+  synthetic: createSyntheticRouteSource(),
+  websocket: createWebSocketSource(() => positionSourceUrl),
+};
+const replayController = positionSources.replay.controller;
 
-let watchId = null;
 let lastPosition = null;
+let lastRawSpeedSample = null;
 let sessionStart = null;
 let sessionTimer = null;
 let isTracking = false;
 let activeSpeedUnit = loadSpeedUnitPreference();
+let activePositionSource = positionSources[loadPositionSourcePreference()] || positionSources[DEFAULT_POSITION_SOURCE];
+let positionSourceUrl = readPreference(POSITION_SOURCE_URL_STORAGE_KEY) || DEFAULT_POSITION_SOURCE_URL;
 let lastSpeedSnapshot = { base: null, mph: null, kph: null, knots: null };
+let sessionSummaries = [];
+let telemetryDatabasePromise = null;
+let selectedDragRunId = null;
+let renderedTripListKey = null;
+let leaderboardView = { event: "", sort: "result", showInvalid: false, vehicles: "active" };
 const customDisplayFrames = new Set();
 const customDisplayMeta = [];
 const telemetryState = createDefaultTelemetrySnapshot();
@@ -81,6 +389,11 @@ createDisplayUploadManager(displayElements, (frame, meta) => {
   carousel.refreshPages();
 });
 updateCustomDisplayList(displayElements.uploadList, customDisplayMeta);
+bindCustomDisplayList(displayElements);
+restoreSavedDisplays(displayElements, carousel);
+refreshSessionList();
+runHistory.load();
+trackLibrary.load();
 initializeViewportScaling();
 
 function byId(id) {
@@ -91,6 +404,20 @@ function bindControls() {
   elements.startButton?.addEventListener("click", toggleTracking);
   elements.resetButton?.addEventListener("click", resetAllStores);
   bindSpeedUnitToggle();
+  bindSessionList();
+  bindPositionSources();
+  bindSettings();
+  bindGMeter();
+  bindReplayControls();
+  bindPermissionRecovery();
+  bindSpeedRangeTimers();
+  bindDragStrip();
+  bindTrips();
+  bindLapTimer();
+  bindTrackLibrary();
+  bindLeaderboard();
+  bindBackup();
+  bindVehicles();
   setSpeedUnit(activeSpeedUnit, { persist: false });
   updateStartButtonState();
 }
@@ -113,62 +440,80 @@ function updateStartButtonState() {
 }
 
 function startTracking() {
-  if (!navigator.geolocation) {
-    window.alert("Geolocation is not supported on this device.");
+  if (isTracking) {
     return;
   }
 
-  if (isTracking) {
+  isTracking = true;
+  speedAlertTone.unlock();
+  hidePermissionRecovery();
+  resetMotionState();
+  fixQualityGate.reset();
+  elevationStore.reset();
+  signalMonitor.reset();
+  pushTelemetry(renderSpeedStats(speedStatsStore.startSession()));
+  pushTelemetry(renderSpeedProfile(speedHistogramStore.get(), rollingSpeedStore.reset(), speedStatsStore.get()));
+  sessionStart = Date.now();
+  if (activePositionSource.capabilities.live) {
+    sessionRecorder.start(sessionStart);
+  }
+
+  try {
+    activePositionSource.start();
+  } catch (err) {
+    isTracking = false;
+    sessionRecorder.stop(Date.now());
+    window.alert(err.message);
     return;
   }
 
-  isTracking = true;
   updateStartButtonState();
-
-  sessionStart = Date.now();
   updateSessionClock();
-  sessionTimer = window.setInterval(updateSessionClock, 1000);
-
-  watchId = navigator.geolocation.watchPosition(
-    handlePosition,
-    handleError,
-    { enableHighAccuracy: true, maximumAge: 0, timeout: 10000 }
-  );
+  sessionTimer = window.setInterval(handleTrackingTick, 1000);
 }
 
 function stopTracking() {
-  if (watchId !== null) {
-    navigator.geolocation.clearWatch(watchId);
-    watchId = null;
-  }
+  activePositionSource.stop();
   if (sessionTimer) {
     clearInterval(sessionTimer);
     sessionTimer = null;
   }
   isTracking = false;
   updateStartButtonState();
+  pushTelemetry(renderSignalHealth(signalMonitor.reset()));
+  return sessionRecorder.stop(Date.now()).then(refreshSessionList);
 }
 
 function resetAllStores() {
   speedStatsStore.reset();
+  const histogram = speedHistogramStore.reset();
+  const rolling = rollingSpeedStore.reset();
   const accelState = accelerationStore.reset();
   const distance = distanceStore.reset();
-  const quarterState = quarterMileTracker.reset();
-  const zeroSixtyState = zeroSixtyTracker.reset();
+  const dragState = dragStrip.reset();
+  const brakeState = brakeTest.reset();
+  const speedRangeState = speedRangeTimers.reset();
+  const lapState = lapTimer.reset();
+  gMeter.resetPeak();
 
   const speedData = renderSpeed(null);
   const statsData = renderSpeedStats(speedStatsStore.get());
+  const profileData = renderSpeedProfile(histogram, rolling, speedStatsStore.get());
   const accelerationData = renderAcceleration(accelState);
   const distanceData = renderDistance(distance);
-  const quarterData = renderQuarterMile(quarterState);
-  const zeroData = renderZeroSixty(zeroSixtyState);
+  const dragData = renderDragStrip(dragState);
+  const brakeData = renderBrakeTest(brakeState);
+  const speedRangeData = renderSpeedRanges(speedRangeState);
+  const lapData = renderLapTimer(lapState);
 
   elements.heading.textContent = "--";
   elements.lat.textContent = "--";
   elements.lon.textContent = "--";
   elements.sessionDuration.textContent = "00:00:00";
 
-  lastPosition = null;
+  resetMotionState();
+  fixQualityGate.reset();
+  elevationStore.reset();
   sessionStart = Date.now();
   updateSessionClock();
 
@@ -178,10 +523,16 @@ function resetAllStores() {
     heading: null,
     ...speedData,
     ...statsData,
+    ...profileData,
     ...accelerationData,
     ...distanceData,
-    ...quarterData,
-    ...zeroData,
+    ...dragData,
+    ...brakeData,
+    ...speedRangeData,
+    ...lapData,
+    ...renderGnss(null),
+    ...renderFixQuality(fixQualityGate.get()),
+    ...renderElevation(elevationStore.get()),
     measurementTimestamp: null,
   });
 }
@@ -191,31 +542,119 @@ function handlePosition(position) {
   const timestampSeconds = position.timestamp / 1000;
   const headingValue = Number.isFinite(heading) ? ((heading % 360) + 360) % 360 : null;
 
+  const signalData = renderSignalHealth(signalMonitor.record(position));
+
+  const quality = fixQualityGate.evaluate({
+    lat: latitude,
+    lon: longitude,
+    time: timestampSeconds,
+    accuracy: position.coords.accuracy,
+    speed,
+  });
+  const qualityData = renderFixQuality(quality);
+  if (!quality.accepted) {
+    pushTelemetry({ ...qualityData, ...signalData });
+    return;
+  }
+
   elements.lat.textContent = formatCoordinate(latitude, "lat");
   elements.lon.textContent = formatCoordinate(longitude, "lon");
   elements.heading.textContent = formatHeading(heading);
 
   const locationSnapshot = { lat: latitude, lon: longitude, time: timestampSeconds };
-  const distanceDelta = computeTravelDelta(locationSnapshot);
+  const distanceDelta = quality.holding ? 0 : computeTravelDelta(locationSnapshot);
   const totalDistance = distanceStore.update(distanceDelta);
   const distanceData = renderDistance(totalDistance);
 
-  const speedValue = resolveSpeed(speed, distanceDelta, locationSnapshot);
-  const speedData = renderSpeed(speedValue, position.timestamp);
-
-  const stats = speedStatsStore.update(speedValue);
+  const rawSpeed = quality.stationary ? 0 : resolveSpeed(speed, distanceDelta, locationSnapshot);
+  const rawAccel = computeRawAcceleration(rawSpeed, timestampSeconds);
+  const filtered = settingsStore.get().kalmanFilter
+    ? kalmanFilter.update({
+      lat: latitude,
+      lon: longitude,
+      time: timestampSeconds,
+      accuracy: position.coords.accuracy,
+      speed: rawSpeed,
+      heading: headingValue,
+    })
+    : null;
+  const speedValue = filtered ? filtered.speed : rawSpeed;
+  const speedData = renderSpeed(applySpeedCorrection(speedValue), position.timestamp);
+
+  const stats = speedStatsStore.update(speedValue, timestampSeconds, distanceDelta);
   const statsData = renderSpeedStats(stats);
+  const profileData = renderSpeedProfile(
+    speedHistogramStore.update(speedValue, timestampSeconds, distanceDelta),
+    rollingSpeedStore.update(speedValue, timestampSeconds, distanceDelta),
+    stats,
+  );
 
-  const acceleration = accelerationStore.update(speedValue, timestampSeconds);
+  const acceleration = accelerationStore.update(speedValue, timestampSeconds, filtered ? filtered.accel : null);
   const accelerationData = renderAcceleration(acceleration);
 
-  const quarterState = quarterMileTracker.update(totalDistance, speedValue, timestampSeconds);
-  const quarterData = renderQuarterMile(quarterState);
+  const tripData = renderTrips(tripStore.update({ time: timestampSeconds, delta: distanceDelta, speed: speedValue }));
+
+  const fixSample = {
+    time: position.timestamp,
+    lat: latitude,
+    lon: longitude,
+    heading: headingValue,
+    speed: Number.isFinite(speedValue) ? speedValue : null,
+    speedRaw: Number.isFinite(rawSpeed) ? rawSpeed : null,
+    altitude: Number.isFinite(position.coords.altitude) ? position.coords.altitude : null,
+    accuracy: Number.isFinite(position.coords.accuracy) ? position.coords.accuracy : null,
+    accel: acceleration.current,
+  };
+  runHistory.record({ ...fixSample, distance: totalDistance });
+
+  const timerSample = {
+    time: timestampSeconds,
+    distance: totalDistance,
+    speed: speedValue,
+    lat: latitude,
+    lon: longitude,
+    heading: headingValue,
+  };
+  const detectedTrack = trackLibrary.detect(timerSample);
+  if (detectedTrack && detectedTrack.id === lapTimer.getLayout().id) {
+    trackLibrary.dismiss();
+  } else if (detectedTrack && lapTimer.get().phase !== "running" && trackLibrary.isSaved(lapTimer.getLayout())) {
+    lapTimer.useLayout(detectedTrack);
+    trackLibrary.dismiss();
+    renderTrackLibrary();
+  }
+
+  const layout = lapTimer.getLayout();
+  const dragState = dragStrip.update(timerSample, {
+    rollout: settingsStore.get().dragRollout,
+    stagePosition: trackLibrary.isDetected(layout.id) ? layout.dragStart : null,
+  });
+  const dragData = renderDragStrip(dragState);
+  const brakeData = renderBrakeTest(brakeTest.update(timerSample, { preset: settingsStore.get().brakeStartSpeed }));
+
+  const speedRangeState = speedRangeTimers.update(timerSample);
+  const speedRangeData = renderSpeedRanges(speedRangeState);
+  const lapData = renderLapTimer(lapTimer.update(timerSample));
+
+  const gnssData = renderGnss(position.gnss);
+
+  const elevation = elevationStore.update(position.coords.altitude, timestampSeconds, totalDistance);
+  const elevationData = renderElevation(elevation);
+
+  const gForces = gMeter.updateGps({
+    speed: speedValue,
+    accel: acceleration.current,
+    heading: headingValue,
+    time: timestampSeconds,
+  });
+  const gForceData = renderGForces(gForces);
 
-  const zeroSixtyState = zeroSixtyTracker.update(speedValue, timestampSeconds);
-  const zeroData = renderZeroSixty(zeroSixtyState);
+  sessionRecorder.record(fixSample, distanceDelta);
 
-  lastPosition = locationSnapshot;
+  // Hold the anchor while parked so the drift-free delta is counted once we move off again.
+  if (!quality.holding || !lastPosition) {
+    lastPosition = locationSnapshot;
+  }
 
   pushTelemetry({
     lat: Number.isFinite(latitude) ? latitude : null,
@@ -224,25 +663,124 @@ function handlePosition(position) {
     gpsTimestamp: timestampSeconds,
     ...speedData,
     ...statsData,
+    ...profileData,
     ...accelerationData,
     ...distanceData,
-    ...quarterData,
-    ...zeroData,
+    ...tripData,
+    ...dragData,
+    ...brakeData,
+    ...speedRangeData,
+    ...lapData,
+    ...gnssData,
+    ...qualityData,
+    ...elevationData,
+    ...gForceData,
+    ...signalData,
+    speedRaw: Number.isFinite(rawSpeed) ? rawSpeed : null,
+    speedFiltered: filtered && Number.isFinite(filtered.speed) ? filtered.speed : null,
+    accelRaw: rawAccel,
+    accelFiltered: filtered && Number.isFinite(filtered.accel) ? filtered.accel : null,
+    filterEnabled: Boolean(filtered),
   });
 }
 
 function handleError(err) {
-  window.alert(`Geolocation error: ${err.message}`);
-  stopTracking();
+  if (err.code === GEOLOCATION_PERMISSION_DENIED) {
+    stopTracking();
+    showPermissionRecovery();
+    return;
+  }
+
+  const wasLost = signalMonitor.get().lost;
+  const signalData = renderSignalHealth(signalMonitor.markLost(err));
+  if (wasLost) {
+    pushTelemetry(signalData);
+    return;
+  }
+  pushTelemetry({
+    ...signalData,
+    ...renderDragStrip(dragStrip.abort()),
+    ...renderBrakeTest(brakeTest.abort()),
+    ...renderSpeedRanges(speedRangeTimers.abort()),
+    ...renderLapTimer(lapTimer.abort()),
+  });
+}
+
+function showPermissionRecovery() {
+  if (!elements.permissionRecovery) {
+    window.alert("Location access was denied. Allow location for this site in your browser settings, then start tracking again.");
+    return;
+  }
+  elements.permissionRecovery.hidden = false;
+  elements.permissionRecovery.scrollIntoView?.({ behavior: "smooth", block: "start" });
+}
+
+function hidePermissionRecovery() {
+  if (elements.permissionRecovery) {
+    elements.permissionRecovery.hidden = true;
+  }
+}
+
+function bindPermissionRecovery() {
+  elements.permissionRetry?.addEventListener("click", startTracking);
+  elements.permissionDismiss?.addEventListener("click", hidePermissionRecovery);
+  navigator.permissions?.query({ name: "geolocation" })
+    .then(status => {
+      status.addEventListener("change", () => {
+        if (status.state === "granted") {
+          hidePermissionRecovery();
+        }
+      });
+    })
+    .catch(() => {});
+}
+
+function resetMotionState() {
+  lastPosition = null;
+  lastRawSpeedSample = null;
+  kalmanFilter.reset();
+  fixQualityGate.resetReference();
+  elevationStore.resetReference();
+  gMeter.resetReference();
+  runHistory.clearBuffer();
+}
+
+// A seek jumps the replay clock, so no timer may pair a fix from before it with
+// one after it.
+function handleReplaySeek() {
+  resetMotionState();
+  pushTelemetry({
+    ...renderDragStrip(dragStrip.abort(REPLAY_SEEK_STATUS)),
+    ...renderBrakeTest(brakeTest.abort(REPLAY_SEEK_STATUS)),
+    ...renderSpeedRanges(speedRangeTimers.abort()),
+    ...renderLapTimer(lapTimer.abort(REPLAY_SEEK_STATUS)),
+  });
+}
+
+function computeRawAcceleration(speed, timestamp) {
+  const previous = lastRawSpeedSample;
+  if (!Number.isFinite(speed) || !Number.isFinite(timestamp)) {
+    return null;
+  }
+  lastRawSpeedSample = { speed, time: timestamp };
+  if (!previous || timestamp <= previous.time) {
+    return null;
+  }
+  return (speed - previous.speed) / (timestamp - previous.time);
 }
 
 function restorePersistedReadouts() {
   const speedData = renderSpeed(null);
   const statsData = renderSpeedStats(speedStatsStore.get());
+  const profileData = renderSpeedProfile(speedHistogramStore.get(), rollingSpeedStore.get(), speedStatsStore.get());
+  const vehicleData = renderVehicles();
   const accelerationData = renderAcceleration(accelerationStore.get());
   const distanceData = renderDistance(distanceStore.get());
-  const quarterData = renderQuarterMile(quarterMileTracker.get());
-  const zeroData = renderZeroSixty(zeroSixtyTracker.get());
+  const tripData = renderTrips(tripStore.get());
+  const dragData = renderDragStrip(dragStrip.get());
+  const brakeData = renderBrakeTest(brakeTest.get());
+  const speedRangeData = renderSpeedRanges(speedRangeTimers.get());
+  const lapData = renderLapTimer(lapTimer.get());
 
   pushTelemetry({
     lat: null,
@@ -250,14 +788,30 @@ function restorePersistedReadouts() {
     heading: null,
     ...speedData,
     ...statsData,
+    ...profileData,
+    ...vehicleData,
     ...accelerationData,
     ...distanceData,
-    ...quarterData,
-    ...zeroData,
+    ...tripData,
+    ...dragData,
+    ...brakeData,
+    ...speedRangeData,
+    ...lapData,
+    ...renderGnss(null),
+    ...renderFixQuality(fixQualityGate.get()),
+    ...renderElevation(elevationStore.get()),
     measurementTimestamp: null,
   });
 }
 
+function handleTrackingTick() {
+  updateSessionClock();
+  const signalData = renderSignalHealth(signalMonitor.get());
+  if (["signalAgeSeconds", "signalWeak", "signalLostSeconds"].some(key => telemetryState[key] !== signalData[key])) {
+    pushTelemetry(signalData);
+  }
+}
+
 function updateSessionClock() {
   let elapsedSeconds = 0;
   if (sessionStart) {
@@ -269,6 +823,12 @@ function updateSessionClock() {
   }
 }
 
+// Only the displayed speed is corrected; stats, timers and recorded runs keep
+// the raw GPS speed so it stays consistent with the distance travelled.
+function applySpeedCorrection(speed) {
+  return Number.isFinite(speed) ? speed * vehicleStore.getActive().correction : speed;
+}
+
 function resolveSpeed(rawSpeed, distanceDelta, snapshot) {
   if (Number.isFinite(rawSpeed)) {
     return rawSpeed;
@@ -294,11 +854,14 @@ function computeTravelDelta(current) {
   if (!lastPosition) {
     return 0;
   }
+  return haversineDistance(lastPosition, current);
+}
 
-  const dLat = toRadians(current.lat - lastPosition.lat);
-  const dLon = toRadians(current.lon - lastPosition.lon);
-  const lat1 = toRadians(lastPosition.lat);
-  const lat2 = toRadians(current.lat);
+function haversineDistance(from, to) {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const lat1 = toRadians(from.lat);
+  const lat2 = toRadians(to.lat);
 
   const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
   const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
@@ -329,13 +892,14 @@ function headingToCardinal(heading) {
 }
 
 function renderSpeed(speed, sourceTimestamp = null) {
+  const alertData = renderSpeedAlert(speedAlert.update(speed));
   if (!Number.isFinite(speed)) {
     lastSpeedSnapshot = { base: null, mph: null, kph: null, knots: null };
     updateSpeedReadout();
     updateSpeedConversions(lastSpeedSnapshot);
     updateMirrorSpeedDisplay(null, null);
     updateSpeedTimestamp(null);
-    return { speed: null, speedMph: null, speedKph: null, speedKnots: null };
+    return { speed: null, speedMph: null, speedKph: null, speedKnots: null, ...alertData };
   }
 
   const mph = speed * 2.236936;
@@ -348,7 +912,22 @@ function renderSpeed(speed, sourceTimestamp = null) {
   updateSpeedTimestamp(
     Number.isFinite(sourceTimestamp) ? sourceTimestamp : Date.now()
   );
-  return { speed, speedMph: mph, speedKph: kph, speedKnots: knots };
+  return { speed, speedMph: mph, speedKph: kph, speedKnots: knots, ...alertData };
+}
+
+function renderSpeedAlert(alert) {
+  [elements.speedHero, elements.mirrorPage].forEach(element => {
+    element?.classList.toggle("speed-alert--warning", alert.state === "warning");
+    element?.classList.toggle("speed-alert--critical", alert.state === "critical");
+  });
+  if (alert.raised && settingsStore.get().speedAlertSound) {
+    speedAlertTone.play(alert.state);
+  }
+  return { speedAlert: alert.state, speedAlertLevel: alert.level, speedAlertThreshold: alert.threshold };
+}
+
+function refreshSpeedAlert() {
+  pushTelemetry(renderSpeedAlert(speedAlert.update(lastSpeedSnapshot.base)));
 }
 
 function updateMirrorSpeedDisplay(kph, mph) {
@@ -364,7 +943,102 @@ function renderSpeedStats(stats) {
   elements.speedMin.textContent = formatSpeedDisplay(stats.min);
   elements.speedMax.textContent = formatSpeedDisplay(stats.max);
   elements.speedAvg.textContent = formatSpeedDisplay(stats.average);
-  return { speedMin: stats.min, speedMax: stats.max, speedAvg: stats.average };
+  renderMotionTotals(elements.motionAllTime, stats.allTime);
+  renderMotionTotals(elements.motionSession, stats.session);
+  renderMotionTotals(elements.positionMotion, stats.session);
+  return {
+    speedMin: stats.min,
+    speedMax: stats.max,
+    speedAvg: stats.average,
+    ...describeMotionTelemetry("", stats.allTime),
+    ...describeMotionTelemetry("session", stats.session),
+  };
+}
+
+function renderMotionTotals(element, totals) {
+  if (!element) {
+    return;
+  }
+  element.innerHTML = "";
+  [
+    ["Moving Time", formatClock(Math.round(totals.movingTime))],
+    ["Stopped Time", formatClock(Math.round(totals.stoppedTime))],
+    ["Moving Average", formatSpeedDisplay(totals.movingAverage)],
+    ["Overall Average", formatSpeedDisplay(totals.elapsedAverage)],
+  ].forEach(([label, value]) => {
+    const row = document.createElement("div");
+    row.className = "readout";
+    const term = document.createElement("dt");
+    term.textContent = label;
+    const detail = document.createElement("dd");
+    detail.textContent = value;
+    row.append(term, detail);
+    element.appendChild(row);
+  });
+}
+
+function renderSpeedProfile(bands, rolling, stats) {
+  renderBandChart(elements.speedBandTime, bands.map(band => ({
+    label: band.label,
+    value: band.seconds,
+    text: formatClock(Math.round(band.seconds)),
+  })));
+  renderBandChart(elements.speedBandDistance, bands.map(band => ({
+    label: band.label,
+    value: band.meters,
+    text: formatDistancePair(band.meters),
+  })));
+  renderBandChart(elements.speedRolling, [
+    ...rolling.map(entry => ({ label: `Last ${entry.window / 60} min`, average: entry.movingAverage, max: entry.max })),
+    { label: "All time", average: stats.allTime.movingAverage, max: stats.max },
+  ].map(row => ({
+    label: row.label,
+    value: row.average,
+    text: `${formatSpeedDisplay(row.average)} · max ${formatSpeedDisplay(row.max)}`,
+  })));
+
+  return {
+    speedBands: bands.map(band => ({ ...band })),
+    speedRolling: Object.fromEntries(rolling.map(({ window, ...entry }) => [`${window / 60}min`, entry])),
+  };
+}
+
+// Each row's bar is scaled against the largest value in the chart.
+function renderBandChart(element, rows) {
+  if (!element) {
+    return;
+  }
+  const peak = Math.max(0, ...rows.map(row => row.value).filter(Number.isFinite));
+  element.innerHTML = "";
+  rows.forEach(row => {
+    const item = document.createElement("li");
+    item.className = "band-chart__row";
+    const label = document.createElement("span");
+    label.className = "band-chart__label";
+    label.textContent = row.label;
+    const bar = document.createElement("span");
+    bar.className = "band-chart__bar";
+    const fill = document.createElement("span");
+    fill.className = "band-chart__fill";
+    const share = peak > 0 && Number.isFinite(row.value) ? row.value / peak : 0;
+    fill.style.setProperty("--band-share", share.toFixed(3));
+    bar.appendChild(fill);
+    const value = document.createElement("span");
+    value.className = "band-chart__value";
+    value.textContent = row.text;
+    item.append(label, bar, value);
+    element.appendChild(item);
+  });
+}
+
+function describeMotionTelemetry(prefix, totals) {
+  const key = name => (prefix ? `${prefix}${name[0].toUpperCase()}${name.slice(1)}` : name);
+  return {
+    [key("movingSeconds")]: totals.movingTime,
+    [key("stoppedSeconds")]: totals.stoppedTime,
+    [key("speedAvgMoving")]: totals.movingAverage,
+    [key("speedAvgElapsed")]: totals.elapsedAverage,
+  };
 }
 
 function bindSpeedUnitToggle() {
@@ -386,9 +1060,16 @@ function setSpeedUnit(unit, options = {}) {
   activeSpeedUnit = normalized;
   syncUnitToggleButtons();
   updateSpeedReadout();
+  refreshSpeedAlert();
+  refreshSpeedSettings();
   if (elements.speedMin && elements.speedMax && elements.speedAvg) {
     renderSpeedStats(speedStatsStore.get());
   }
+  pushTelemetry(renderSpeedProfile(speedHistogramStore.get(), rollingSpeedStore.get(), speedStatsStore.get()));
+  renderSessionList(sessionSummaries);
+  renderDragStrip(dragStrip.get());
+  renderBrakeTest(brakeTest.get());
+  renderTrips(tripStore.get());
   if (shouldPersist) {
     persistSpeedUnitPreference(normalized);
   }
@@ -484,332 +1165,5735 @@ function renderAcceleration(state) {
 function renderDistance(totalMeters) {
   const km = totalMeters / 1000;
   const miles = totalMeters / 1609.344;
-  elements.distanceTotal.textContent = `${km.toFixed(2)} km / ${miles.toFixed(2)} mi`;
+  elements.distanceTotal.textContent = formatDistancePair(totalMeters);
   return { distanceMeters: totalMeters, distanceKm: km, distanceMiles: miles };
 }
 
-function renderQuarterMile(state) {
-  elements.quarterStatus.textContent = state.status;
-  elements.quarterLast.textContent = formatNullable(state.lastTime, formatSeconds);
-  elements.quarterBest.textContent = formatNullable(state.bestTime, formatSeconds);
-  return { quarterStatus: state.status, quarterLast: state.lastTime, quarterBest: state.bestTime };
-}
+function renderTrips(state) {
+  if (elements.odometer) {
+    elements.odometer.textContent = formatDistancePair(state.odometer);
+  }
+  renderTripRows(elements.tripA, state.a);
+  renderTripRows(elements.tripB, state.b);
+  renderTripRows(elements.tripCurrent, state.current);
+
+  // Completed trips only change when a trip ends, so most fixes skip the list.
+  const listElement = elements.tripList;
+  const listKey = [activeSpeedUnit, ...state.trips.map(trip => `${trip.startedAt}-${trip.endedAt}`)].join();
+  if (listElement && listKey !== renderedTripListKey) {
+    renderedTripListKey = listKey;
+    listElement.innerHTML = "";
+    if (!state.trips.length) {
+      const empty = document.createElement("li");
+      empty.textContent = "No completed trips yet.";
+      listElement.appendChild(empty);
+    }
+    state.trips.forEach(trip => {
+      const li = document.createElement("li");
+      li.className = "trip-list__item";
+      const time = new Date(trip.startedAt).toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+      li.textContent = [
+        time,
+        formatDistancePair(trip.distance),
+        formatClock(Math.round(trip.duration)),
+        `avg ${formatSpeedDisplay(trip.averageSpeed)}`,
+      ].join(" · ");
+      listElement.appendChild(li);
+    });
+  }
 
-function renderZeroSixty(state) {
-  elements.zeroSixtyLast.textContent = formatNullable(state.lastTime, formatSeconds);
-  elements.zeroSixtyBest.textContent = formatNullable(state.bestTime, formatSeconds);
-  return { zeroSixtyLast: state.lastTime, zeroSixtyBest: state.bestTime };
+  return {
+    odometerMeters: state.odometer,
+    ...describeTripTelemetry("tripA", state.a),
+    ...describeTripTelemetry("tripB", state.b),
+    ...describeTripTelemetry("trip", state.current),
+    tripCount: state.trips.length,
+  };
 }
 
-function formatNullable(value, mapper = defaultNumberFormatter) {
-  if (!Number.isFinite(value) || value === null) {
-    return "--";
+function renderTripRows(element, trip) {
+  if (!element) {
+    return;
   }
-  return mapper(value);
+  element.innerHTML = "";
+  const rows = [
+    ["Distance", trip ? formatDistancePair(trip.distance) : "--"],
+    ["Duration", trip ? formatClock(Math.round(trip.duration)) : "--"],
+    ["Moving Time", trip ? formatClock(Math.round(trip.movingTime)) : "--"],
+    ["Average Speed", trip ? formatSpeedDisplay(trip.averageSpeed) : "--"],
+    ["Since", trip ? new Date(trip.startedAt).toLocaleString([], { dateStyle: "medium", timeStyle: "short" }) : "--"],
+  ];
+  rows.forEach(([label, value]) => {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.textContent = value;
+    element.append(dt, dd);
+  });
 }
 
-function defaultNumberFormatter(value) {
-  return value.toFixed(2);
+function describeTripTelemetry(prefix, trip) {
+  return {
+    [`${prefix}Meters`]: trip ? trip.distance : null,
+    [`${prefix}Seconds`]: trip ? trip.duration : null,
+    [`${prefix}MovingSeconds`]: trip ? trip.movingTime : null,
+    [`${prefix}AvgSpeed`]: trip ? trip.averageSpeed : null,
+  };
 }
 
-function formatSeconds(value) {
-  return `${value.toFixed(2)} s`;
+function bindTrips() {
+  elements.tripMeters?.addEventListener("click", event => {
+    const target = event.target.closest("[data-trip-reset]");
+    if (target) {
+      pushTelemetry(renderTrips(tripStore.resetMeter(target.dataset.tripReset)));
+    }
+  });
 }
 
-function formatClock(totalSeconds) {
-  const hours = Math.floor(totalSeconds / 3600);
-  const minutes = Math.floor((totalSeconds % 3600) / 60);
-  const seconds = totalSeconds % 60;
-  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+function formatDistancePair(meters) {
+  const km = meters / 1000;
+  const miles = meters / 1609.344;
+  return `${km.toFixed(2)} km / ${miles.toFixed(2)} mi`;
 }
 
-function pad(value) {
-  return value.toString().padStart(2, "0");
-}
+function renderDragStrip(state) {
+  const lastQuarter = state.runs[0]?.splits.quarter ?? null;
+  elements.quarterStatus.textContent = state.status;
+  elements.quarterLast.textContent = formatNullable(lastQuarter, formatSeconds);
+  elements.quarterBest.textContent = formatNullable(state.bestQuarter, formatSeconds);
+  if (elements.dragStatus) {
+    elements.dragStatus.textContent = state.status;
+  }
 
-function toRadians(value) {
-  return (value * Math.PI) / 180;
+  if (state.phase === "running") {
+    selectedDragRunId = null;
+  }
+  const selected = state.runs.find(run => run.id === selectedDragRunId);
+  const shown = selected || state.run || state.runs[0] || null;
+  renderTimeslip(shown);
+  renderDragRunList(state.runs, shown ? shown.id : null);
+
+  return {
+    quarterStatus: state.status,
+    quarterLast: lastQuarter,
+    quarterBest: state.bestQuarter,
+    dragPhase: state.phase,
+    drag60ft: shown?.splits["60ft"] ?? null,
+    drag330ft: shown?.splits["330ft"] ?? null,
+    dragEighth: shown?.splits.eighth ?? null,
+    dragEighthTrap: shown?.traps.eighth ?? null,
+    drag1000ft: shown?.splits["1000ft"] ?? null,
+    dragQuarter: shown?.splits.quarter ?? null,
+    dragQuarterTrap: shown?.traps.quarter ?? null,
+    dragErrors: shown?.errors ? { ...shown.errors } : {},
+    dragRunCount: state.runs.length,
+  };
 }
 
-function loadState(key, fallback) {
-  try {
-    const raw = window.localStorage.getItem(LOCAL_STORAGE_PREFIX + key);
-    if (!raw) {
-      return { ...fallback };
-    }
-    const parsed = JSON.parse(raw);
-    return { ...fallback, ...parsed };
-  } catch (err) {
-    console.warn("Unable to read state", err);
-    return { ...fallback };
+function renderTimeslip(run) {
+  const slip = elements.dragTimeslip;
+  if (!slip) {
+    return;
   }
+  slip.innerHTML = "";
+  const rows = [
+    ["Date", run ? formatRunDate(run.startedAt, "medium") : "--"],
+    ["Rollout", run ? (run.rollout ? "1 ft" : "None") : "--"],
+  ];
+  DRAG_SPLITS.forEach(split => {
+    const error = run?.errors?.[split.key];
+    rows.push([
+      `${split.label} ET`,
+      formatNullable(run?.splits[split.key] ?? null, value => (Number.isFinite(error) ? `${value.toFixed(3)} ±${error.toFixed(3)}` : value.toFixed(3))),
+    ]);
+    if (split.trap) {
+      rows.push([`${split.label} Trap`, formatSpeedDisplay(run?.traps[split.key] ?? null)]);
+    }
+  });
+  rows.forEach(([label, value]) => {
+    const dt = document.createElement("dt");
+    dt.textContent = label;
+    const dd = document.createElement("dd");
+    dd.textContent = value;
+    slip.append(dt, dd);
+  });
 }
 
-function persistState(key, value) {
-  try {
-    window.localStorage.setItem(LOCAL_STORAGE_PREFIX + key, JSON.stringify(value));
-  } catch (err) {
-    console.warn("Unable to persist state", err);
+function renderDragRunList(runs, shownId) {
+  const listElement = elements.dragRunList;
+  if (!listElement) {
+    return;
+  }
+  listElement.innerHTML = "";
+  if (!runs.length) {
+    const empty = document.createElement("li");
+    empty.textContent = "No completed runs yet.";
+    listElement.appendChild(empty);
+    return;
   }
+  runs.forEach(run => {
+    const li = document.createElement("li");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "drag-run-list__item";
+    button.dataset.dragRunId = run.id;
+    button.setAttribute("aria-pressed", String(run.id === shownId));
+    button.textContent = `${formatRunDate(run.startedAt, "short")} · ${formatSeconds(run.splits.quarter)} @ ${formatSpeedDisplay(run.traps.quarter)}`;
+    li.appendChild(button);
+    listElement.appendChild(li);
+  });
 }
 
-function loadSpeedUnitPreference() {
-  try {
-    const stored = window.localStorage.getItem(LOCAL_STORAGE_PREFIX + SPEED_UNIT_STORAGE_KEY);
-    if (stored && SPEED_UNITS[stored]) {
-      return stored;
+function renderBrakeTest(state) {
+  const { last } = state;
+  if (elements.brakeStatus) {
+    elements.brakeStatus.textContent = state.status;
+  }
+  if (elements.brakeNominalLabel) {
+    elements.brakeNominalLabel.textContent = formatBrakeLabel(settingsStore.get().brakeStartSpeed);
+  }
+  setSpeedDetail(elements.brakeEntrySpeed, last?.entrySpeed ?? null, formatSpeedDisplay);
+  setSpeedDetail(elements.brakeDistance, last?.distance ?? null, formatShortDistance);
+  setSpeedDetail(elements.brakeDistanceNominal, last?.nominalDistance ?? null, formatShortDistance);
+  setSpeedDetail(elements.brakeTime, last?.time ?? null, formatSeconds);
+  setSpeedDetail(elements.brakeMeanDecel, last?.meanDecel ?? null, formatDeceleration);
+  setSpeedDetail(elements.brakePeakDecel, last?.peakDecel ?? null, formatDeceleration);
+
+  const listElement = elements.brakeRunList;
+  if (listElement) {
+    listElement.innerHTML = "";
+    if (!state.runs.length) {
+      const empty = document.createElement("li");
+      empty.textContent = "No braking tests yet.";
+      listElement.appendChild(empty);
     }
-  } catch (err) {
-    console.warn("Unable to read speed unit preference", err);
+    state.runs.forEach(run => {
+      const li = document.createElement("li");
+      li.className = "brake-run-list__item";
+      const time = new Date(run.startedAt).toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+      li.textContent = [
+        time,
+        `from ${formatSpeedDisplay(run.entrySpeed)}`,
+        formatShortDistance(run.distance),
+        formatSeconds(run.time),
+        `${(run.meanDecel / STANDARD_GRAVITY).toFixed(2)} g avg`,
+      ].join(" · ");
+      listElement.appendChild(li);
+    });
   }
-  return DEFAULT_SPEED_UNIT;
+
+  return {
+    brakePhase: state.phase,
+    brakeStatus: state.status,
+    brakeEntrySpeed: last ? last.entrySpeed : null,
+    brakeDistance: last ? last.distance : null,
+    brakeDistanceNominal: last ? last.nominalDistance : null,
+    brakeTime: last ? last.time : null,
+    brakeMeanDecel: last ? last.meanDecel : null,
+    brakeMeanG: last ? last.meanDecel / STANDARD_GRAVITY : null,
+    brakePeakDecel: last ? last.peakDecel : null,
+    brakePeakG: last ? last.peakDecel / STANDARD_GRAVITY : null,
+    brakeRunCount: state.runs.length,
+  };
 }
 
-function persistSpeedUnitPreference(unit) {
-  try {
-    window.localStorage.setItem(LOCAL_STORAGE_PREFIX + SPEED_UNIT_STORAGE_KEY, unit);
-  } catch (err) {
-    console.warn("Unable to persist speed unit preference", err);
-  }
+// Runs imported from earlier versions were stored without a date.
+function formatRunDate(timestamp, dateStyle) {
+  return Number.isFinite(timestamp) ? new Date(timestamp).toLocaleString([], { dateStyle, timeStyle: "short" }) : "Imported";
 }
 
-function createSpeedStatsStore() {
-  const defaults = { count: 0, total: 0, min: null, max: null };
-  let state = loadState("speed_stats", defaults);
+function formatShortDistance(meters) {
+  return activeSpeedUnit === "mph"
+    ? `${(meters * FEET_PER_METER).toFixed(1)} ft`
+    : `${meters.toFixed(1)} m`;
+}
 
-  function update(speed) {
-    if (!Number.isFinite(speed)) {
-      return get();
+function formatDeceleration(value) {
+  return `${value.toFixed(2)} m/s² (${(value / STANDARD_GRAVITY).toFixed(2)} g)`;
+}
+
+function bindDragStrip() {
+  elements.dragRunList?.addEventListener("click", event => {
+    const target = event.target.closest("[data-drag-run-id]");
+    if (!target) {
+      return;
     }
-    state.count += 1;
-    state.total += speed;
-    state.min = state.min === null ? speed : Math.min(state.min, speed);
-    state.max = state.max === null ? speed : Math.max(state.max, speed);
-    persistState("speed_stats", state);
-    return get();
-  }
+    selectedDragRunId = target.dataset.dragRunId;
+    pushTelemetry(renderDragStrip(dragStrip.get()));
+  });
+}
 
-  function reset() {
-    state = { ...defaults };
-    persistState("speed_stats", state);
+function renderSpeedRanges(state) {
+  const listElement = elements.speedRangeList;
+  if (listElement) {
+    listElement.innerHTML = "";
+    if (!state.timers.length) {
+      const empty = document.createElement("li");
+      empty.textContent = "No speed-range timers defined. Add one on the Settings page.";
+      listElement.appendChild(empty);
+    }
+    state.timers.forEach(timer => {
+      const li = document.createElement("li");
+      li.className = "speed-range-list__item";
+      const title = document.createElement("strong");
+      title.textContent = timer.label;
+      const status = document.createElement("span");
+      status.className = "speed-range-list__status";
+      status.textContent = timer.status;
+      const times = document.createElement("span");
+      times.className = "speed-range-list__times";
+      times.textContent = `Last ${formatTimerResult(timer.lastTime, timer.lastError)} · Best ${formatTimerResult(timer.bestTime, timer.bestError)}`;
+      const history = document.createElement("span");
+      history.className = "speed-range-list__history";
+      history.textContent = timer.history.length
+        ? `Recent: ${timer.history.map(entry => formatSeconds(entry.time)).join(", ")}`
+        : "No runs yet";
+      li.append(title, status, times, history);
+      listElement.appendChild(li);
+    });
   }
 
-  function get() {
-    const average = state.count ? state.total / state.count : null;
-    return { min: state.min, max: state.max, average };
+  const speedRanges = {};
+  state.timers.forEach(timer => {
+    speedRanges[timer.id] = {
+      label: timer.label,
+      from: timer.from,
+      to: timer.to,
+      unit: timer.unit,
+      status: timer.status,
+      lastTime: timer.lastTime,
+      lastError: timer.lastError,
+      bestTime: timer.bestTime,
+      bestError: timer.bestError,
+      history: timer.history.map(entry => entry.time),
+    };
+  });
+  const zeroSixty = speedRanges["0-60-mph"];
+  return {
+    speedRanges,
+    zeroSixtyLast: zeroSixty ? zeroSixty.lastTime : null,
+    zeroSixtyBest: zeroSixty ? zeroSixty.bestTime : null,
+  };
+}
+
+function renderSpeedRangeEditor(state) {
+  const listElement = elements.speedRangeEditor;
+  if (!listElement) {
+    return;
   }
+  listElement.innerHTML = "";
+  state.timers.forEach(timer => {
+    const li = document.createElement("li");
+    li.className = "speed-range-editor__item";
+    const label = document.createElement("span");
+    label.textContent = timer.label;
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.dataset.speedRangeRemove = timer.id;
+    remove.textContent = "Remove";
+    li.append(label, remove);
+    listElement.appendChild(li);
+  });
+}
 
-  return { update, reset, get };
+function bindSpeedRangeTimers() {
+  renderSpeedRangeEditor(speedRangeTimers.get());
+  elements.speedRangeEditor?.addEventListener("click", event => {
+    const target = event.target.closest("[data-speed-range-remove]");
+    if (!target) {
+      return;
+    }
+    applySpeedRangeChange(speedRangeTimers.remove(target.dataset.speedRangeRemove));
+  });
+  elements.speedRangeForm?.addEventListener("submit", event => {
+    event.preventDefault();
+    const form = event.currentTarget;
+    try {
+      applySpeedRangeChange(speedRangeTimers.add({
+        from: Number.parseFloat(form.elements.from.value),
+        to: Number.parseFloat(form.elements.to.value),
+        unit: form.elements.unit.value,
+      }));
+      form.reset();
+    } catch (err) {
+      window.alert(err.message);
+    }
+  });
 }
 
-function createAccelerationStore() {
-  const defaults = { lastSpeed: null, lastTime: null, peakAccel: null, peakDecel: null };
-  let state = loadState("acceleration", defaults);
-  let current = null;
+function applySpeedRangeChange(state) {
+  renderSpeedRangeEditor(state);
+  pushTelemetry(renderSpeedRanges(state));
+}
 
-  function update(speed, timestamp) {
-    if (Number.isFinite(speed) && Number.isFinite(timestamp) && state.lastSpeed !== null && state.lastTime !== null) {
-      const dt = timestamp - state.lastTime;
-      if (dt > 0) {
-        current = (speed - state.lastSpeed) / dt;
-        if (Number.isFinite(current)) {
-          if (current > 0) {
-            state.peakAccel = state.peakAccel === null ? current : Math.max(state.peakAccel, current);
-          }
-          if (current < 0) {
-            const magnitude = Math.abs(current);
-            state.peakDecel = state.peakDecel === null ? magnitude : Math.max(state.peakDecel, magnitude);
-          }
-        }
-      }
-    } else {
-      current = null;
-    }
+function renderLapTimer(state) {
+  const { current, last, best } = state;
+  if (elements.lapStatus) {
+    elements.lapStatus.textContent = state.status;
+  }
+  setSpeedDetail(elements.lapCurrent, current ? current.elapsed : null, formatSeconds);
+  if (elements.lapNumber) {
+    elements.lapNumber.textContent = state.lapNumber ? String(state.lapNumber) : "--";
+  }
+  if (elements.lapLast) {
+    elements.lapLast.textContent = last ? formatTimerResult(last.time, last.error) : "--";
+  }
+  if (elements.lapBest) {
+    elements.lapBest.textContent = best ? formatTimerResult(best.time, best.error) : "--";
+  }
 
-    if (Number.isFinite(speed) && Number.isFinite(timestamp)) {
-      state.lastSpeed = speed;
-      state.lastTime = timestamp;
-      persistState("acceleration", state);
+  const sectorElement = elements.lapSectors;
+  if (sectorElement) {
+    sectorElement.innerHTML = "";
+    for (let index = 0; index < state.sectorCount; index += 1) {
+      const dt = document.createElement("dt");
+      dt.textContent = `S${index + 1}`;
+      const dd = document.createElement("dd");
+      dd.textContent = [current?.sectors[index], last?.sectors[index], state.bestSectors[index]]
+        .map(value => formatNullable(value ?? null, formatSeconds))
+        .join(" · ");
+      sectorElement.append(dt, dd);
     }
+  }
 
-    return get();
+  const listElement = elements.lapList;
+  if (listElement) {
+    listElement.innerHTML = "";
+    if (!state.laps.length) {
+      const empty = document.createElement("li");
+      empty.textContent = state.layout.start ? "No laps recorded yet." : "Set a start line to begin timing laps.";
+      listElement.appendChild(empty);
+    }
+    state.laps.forEach(entry => {
+      const li = document.createElement("li");
+      li.className = "lap-list__item";
+      const time = new Date(entry.startedAt).toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+      li.textContent = [time, formatTimerResult(entry.time, entry.error), entry.id === best?.id ? "Best" : null]
+        .filter(Boolean)
+        .join(" · ");
+      listElement.appendChild(li);
+    });
   }
 
-  function reset() {
-    state = { ...defaults };
+  renderLapLayout(state.layout);
+  renderLapDelta(current ? current.delta : null);
+
+  return {
+    lapPhase: state.phase,
+    lapStatus: state.status,
+    lapLayout: state.layout.start ? state.layout.name : null,
+    lapNumber: state.lapNumber,
+    lapCurrent: current ? current.elapsed : null,
+    lapCurrentSectors: current ? [...current.sectors] : [],
+    lapDelta: current ? current.delta : null,
+    lapPredicted: current ? current.predicted : null,
+    lapLast: last ? last.time : null,
+    lapLastError: last ? last.error : null,
+    lapLastSectors: last ? [...last.sectors] : [],
+    lapBest: best ? best.time : null,
+    lapBestError: best ? best.error : null,
+    lapBestSectors: [...state.bestSectors],
+    lapCount: state.lapCount,
+  };
+}
+
+function renderLapDelta(delta) {
+  const hasDelta = Number.isFinite(delta);
+  const text = hasDelta ? formatLapDelta(delta) : "--";
+  const share = hasDelta ? Math.max(-1, Math.min(1, delta / LAP_DELTA_BAR_RANGE_S)) : 0;
+  [
+    [elements.lapDelta, elements.lapDeltaBar],
+    [elements.mirrorLapDeltaValue, elements.mirrorLapDeltaBar],
+  ].forEach(([valueElement, barElement]) => {
+    if (valueElement) {
+      valueElement.textContent = text;
+      valueElement.classList.toggle("lap-delta--ahead", hasDelta && delta < 0);
+      valueElement.classList.toggle("lap-delta--behind", hasDelta && delta > 0);
+    }
+    if (barElement) {
+      barElement.style.setProperty("--lap-delta-share", share.toFixed(3));
+      barElement.classList.toggle("lap-delta__fill--ahead", hasDelta && delta < 0);
+    }
+  });
+  if (elements.mirrorLapDelta) {
+    elements.mirrorLapDelta.hidden = !hasDelta;
+  }
+}
+
+function formatLapDelta(value) {
+  return `${value > 0 ? "+" : value < 0 ? "−" : "±"}${Math.abs(value).toFixed(2)}`;
+}
+
+function renderLapLayout(layout) {
+  if (elements.lapMode) {
+    elements.lapMode.value = layout.mode;
+  }
+  if (elements.lapSetFinish) {
+    elements.lapSetFinish.hidden = layout.mode !== "sprint";
+  }
+  const finishOption = elements.lapLineForm?.elements.kind.querySelector("option[value='finish']");
+  if (finishOption) {
+    finishOption.hidden = layout.mode !== "sprint";
+  }
+  const listElement = elements.lapLayout;
+  if (!listElement) {
+    return;
+  }
+  listElement.innerHTML = "";
+  const lines = [
+    [layout.mode === "sprint" ? "Start" : "Start/finish", layout.start, null],
+    ...(layout.mode === "sprint" ? [["Finish", layout.finish, null]] : []),
+    ...layout.sectors.map((line, index) => [`Sector line ${index + 1}`, line, `sector:${index}`]),
+    ...(layout.dragStart ? [["Drag start", layout.dragStart, "drag"]] : []),
+  ];
+  lines.forEach(([label, line, removeKey]) => {
+    const li = document.createElement("li");
+    li.className = "lap-layout__item";
+    const text = document.createElement("span");
+    text.textContent = line
+      ? `${label}: ${line.lat.toFixed(6)}, ${line.lon.toFixed(6)} · ${Math.round(line.heading)}°`
+      : `${label}: not set`;
+    li.appendChild(text);
+    if (removeKey !== null) {
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.dataset.lapLineRemove = removeKey;
+      remove.textContent = "Remove";
+      li.appendChild(remove);
+    }
+    listElement.appendChild(li);
+  });
+}
+
+function bindLapTimer() {
+  const apply = change => {
+    try {
+      pushTelemetry(renderLapTimer(change()));
+      renderTrackLibrary();
+    } catch (err) {
+      window.alert(err.message);
+    }
+  };
+  elements.lapSetStart?.addEventListener("click", () => apply(() => lapTimer.setLine("start", lapTimer.lineHere())));
+  elements.lapSetFinish?.addEventListener("click", () => apply(() => lapTimer.setLine("finish", lapTimer.lineHere())));
+  elements.lapAddSector?.addEventListener("click", () => apply(() => lapTimer.setLine("sector", lapTimer.lineHere())));
+  elements.lapMode?.addEventListener("change", event => apply(() => lapTimer.setMode(event.target.value)));
+  elements.lapClear?.addEventListener("click", () => {
+    if (window.confirm("Remove the start, finish and sector lines? Recorded laps are kept.")) {
+      apply(() => lapTimer.clear());
+    }
+  });
+  elements.lapLayout?.addEventListener("click", event => {
+    const target = event.target.closest("[data-lap-line-remove]");
+    if (target) {
+      const [kind, index] = target.dataset.lapLineRemove.split(":");
+      apply(() => lapTimer.removeLine(kind, Number(index)));
+    }
+  });
+  elements.lapLineForm?.addEventListener("submit", event => {
+    event.preventDefault();
+    const form = event.currentTarget;
+    apply(() => {
+      const state = lapTimer.setLine(form.elements.kind.value, {
+        lat: Number.parseFloat(form.elements.lat.value),
+        lon: Number.parseFloat(form.elements.lon.value),
+        heading: Number.parseFloat(form.elements.heading.value),
+      });
+      form.reset();
+      return state;
+    });
+  });
+}
+
+function renderTrackLibrary() {
+  const layout = lapTimer.getLayout();
+  const active = trackLibrary.find(layout.id);
+  const waiting = trackLibrary.pending();
+  if (elements.trackActive) {
+    elements.trackActive.textContent = [
+      active ? `${active.name}${trackLibrary.isDetected(active.id) ? " (detected)" : ""}` : "Unsaved lines",
+      waiting && waiting.id !== layout.id ? `${waiting.name} nearby` : null,
+    ].filter(Boolean).join(" · ");
+  }
+  const nameInput = elements.trackSaveForm?.elements.name;
+  if (nameInput && document.activeElement !== nameInput) {
+    nameInput.value = active ? active.name : "";
+  }
+
+  const listElement = elements.trackList;
+  if (!listElement) {
+    return;
+  }
+  listElement.innerHTML = "";
+  const tracks = trackLibrary.list();
+  if (!tracks.length) {
+    const empty = document.createElement("li");
+    empty.textContent = "No saved tracks yet.";
+    listElement.appendChild(empty);
+    return;
+  }
+  tracks.forEach(track => {
+    const li = document.createElement("li");
+    li.className = "track-list__item";
+    const title = document.createElement("strong");
+    title.textContent = track.name;
+    const meta = document.createElement("span");
+    meta.className = "track-list__meta";
+    meta.textContent = [
+      track.start ? LAP_MODES[track.mode] : null,
+      track.sectors.length ? `${track.sectors.length + 1} sectors` : null,
+      track.dragStart ? "Drag start" : null,
+      track.id === layout.id ? "Active" : null,
+    ].filter(Boolean).join(" · ");
+    const actions = document.createElement("div");
+    actions.className = "track-list__actions";
+    [["load", "Use"], ["export", "Export"], ["delete", "Delete"]].forEach(([action, label]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.trackId = track.id;
+      button.dataset.trackAction = action;
+      button.textContent = label;
+      actions.appendChild(button);
+    });
+    li.append(title, meta, actions);
+    listElement.appendChild(li);
+  });
+}
+
+function bindTrackLibrary() {
+  elements.trackSaveForm?.addEventListener("submit", async event => {
+    event.preventDefault();
+    const form = event.currentTarget;
+    try {
+      const track = await trackLibrary.save({ ...lapTimer.getLayout(), name: form.elements.name.value });
+      pushTelemetry(renderLapTimer(lapTimer.useLayout(track)));
+      renderTrackLibrary();
+    } catch (err) {
+      window.alert(`Unable to save track: ${err.message}`);
+    }
+  });
+  elements.trackDragStart?.addEventListener("click", () => {
+    try {
+      pushTelemetry(renderLapTimer(lapTimer.setLine("drag", lapTimer.lineHere())));
+      renderTrackLibrary();
+    } catch (err) {
+      window.alert(err.message);
+    }
+  });
+  elements.trackList?.addEventListener("click", async event => {
+    const target = event.target.closest("[data-track-action]");
+    const track = target ? trackLibrary.find(target.dataset.trackId) : null;
+    if (!track) {
+      return;
+    }
+    try {
+      if (target.dataset.trackAction === "load") {
+        trackLibrary.dismiss();
+        pushTelemetry(renderLapTimer(lapTimer.useLayout(track)));
+        renderTrackLibrary();
+      } else if (target.dataset.trackAction === "export") {
+        downloadTextFile(`${formatSessionFileName(Date.now(), "track")}.json`, trackLibrary.exportTracks([track.id]), "application/json");
+      } else if (target.dataset.trackAction === "delete" && window.confirm(`Delete ${track.name}? Laps recorded there are kept.`)) {
+        await trackLibrary.remove(track.id);
+      }
+    } catch (err) {
+      window.alert(`Unable to update track: ${err.message}`);
+    }
+  });
+  elements.trackExport?.addEventListener("click", () => {
+    if (!trackLibrary.list().length) {
+      window.alert("There are no saved tracks to export.");
+      return;
+    }
+    downloadTextFile(`${formatSessionFileName(Date.now(), "tracks")}.json`, trackLibrary.exportTracks(), "application/json");
+  });
+  elements.trackImport?.addEventListener("change", async event => {
+    const [file] = event.target.files || [];
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+    try {
+      const count = await trackLibrary.importTracks(await readFile(file));
+      window.alert(`Imported ${count} track${count === 1 ? "" : "s"}.`);
+    } catch (err) {
+      window.alert(`Unable to import tracks: ${err.message}`);
+    }
+  });
+}
+
+function renderVehicles() {
+  const active = vehicleStore.getActive();
+  if (elements.vehicleSelect) {
+    elements.vehicleSelect.innerHTML = "";
+    vehicleStore.list().forEach(vehicle => {
+      const option = document.createElement("option");
+      option.value = vehicle.id;
+      option.textContent = vehicle.name;
+      elements.vehicleSelect.appendChild(option);
+    });
+    elements.vehicleSelect.value = active.id;
+  }
+  const form = elements.vehicleForm;
+  if (form) {
+    form.elements.name.value = active.name;
+    form.elements.weightKg.value = active.weightKg ?? "";
+    form.elements.correction.value = String(active.correction);
+    form.elements.unit.value = active.unit ?? "";
+    form.elements.notes.value = active.notes;
+  }
+  if (elements.vehicleDelete) {
+    elements.vehicleDelete.disabled = active.id === DEFAULT_VEHICLE_PROFILE;
+  }
+  return {
+    vehicleId: active.id,
+    vehicleName: active.name,
+    vehicleWeightKg: active.weightKg,
+    speedCorrection: active.correction,
+  };
+}
+
+// Every store reads its vehicle's data when it is created, so switching saves
+// what is pending and reloads rather than re-seeding each store in place.
+async function switchVehicle(id) {
+  if (isTracking) {
+    await stopTracking();
+  }
+  vehicleStore.activate(id);
+  storage.lock();
+  window.location.reload();
+}
+
+function bindVehicles() {
+  elements.vehicleSelect?.addEventListener("change", event => {
+    switchVehicle(event.target.value).catch(err => window.alert(`Unable to switch vehicle: ${err.message}`));
+  });
+  elements.vehicleForm?.addEventListener("submit", event => {
+    event.preventDefault();
+    const form = event.currentTarget;
+    try {
+      vehicleStore.update(vehicleStore.getActiveId(), {
+        name: form.elements.name.value,
+        weightKg: form.elements.weightKg.value,
+        correction: parseFloat(form.elements.correction.value),
+        unit: form.elements.unit.value || null,
+        notes: form.elements.notes.value,
+      });
+      pushTelemetry(renderVehicles());
+      renderLeaderboard();
+    } catch (err) {
+      window.alert(err.message);
+    }
+  });
+  elements.vehicleAdd?.addEventListener("click", () => {
+    const vehicle = vehicleStore.add(`Vehicle ${vehicleStore.list().length + 1}`);
+    switchVehicle(vehicle.id).catch(err => window.alert(`Unable to switch vehicle: ${err.message}`));
+  });
+  elements.vehicleDelete?.addEventListener("click", () => {
+    const active = vehicleStore.getActive();
+    if (!window.confirm(`Delete ${active.name}? Its stats and trips are removed; its runs stay in the leaderboard.`)) {
+      return;
+    }
+    try {
+      vehicleStore.remove(active.id);
+      storage.lock();
+      window.location.reload();
+    } catch (err) {
+      window.alert(err.message);
+    }
+  });
+}
+
+function bindBackup() {
+  elements.backupExport?.addEventListener("click", async () => {
+    try {
+      downloadTextFile(`${formatSessionFileName(Date.now(), "speedometer-backup")}.json`, await createBackup(), "application/json");
+    } catch (err) {
+      window.alert(`Unable to create backup: ${err.message}`);
+    }
+  });
+  elements.backupImport?.addEventListener("change", async event => {
+    const [file] = event.target.files || [];
+    event.target.value = "";
+    if (!file || !window.confirm("Restoring replaces all settings, records, tracks and saved displays on this device. Continue?")) {
+      return;
+    }
+    try {
+      if (isTracking) {
+        await stopTracking();
+      }
+      await restoreBackup(await readFile(file));
+      window.alert("Backup restored. The app will now reload.");
+      window.location.reload();
+    } catch (err) {
+      window.alert(`Unable to restore backup: ${err.message}`);
+    }
+  });
+}
+
+function renderGnss(gnss) {
+  const satellites = gnss?.satellites ?? null;
+  const satellitesInView = gnss?.satellitesInView ?? null;
+  const hdop = gnss?.hdop ?? null;
+  const fixQuality = Number.isFinite(gnss?.fixQuality) ? NMEA_FIX_QUALITY_LABELS[gnss.fixQuality] || "Unknown" : null;
+  if (elements.satellites) {
+    const inView = Number.isFinite(satellitesInView) ? ` / ${satellitesInView} in view` : "";
+    elements.satellites.textContent = Number.isFinite(satellites) ? `${satellites} used${inView}` : "--";
+  }
+  if (elements.hdop) {
+    elements.hdop.textContent = formatNullable(hdop, value => value.toFixed(1));
+  }
+  if (elements.fixQuality) {
+    const mode = gnss?.fixMode === 3 ? " (3D)" : gnss?.fixMode === 2 ? " (2D)" : "";
+    elements.fixQuality.textContent = fixQuality ? `${fixQuality}${mode}` : "--";
+  }
+  return { satellites, satellitesInView, hdop, fixQuality };
+}
+
+function renderFixQuality(quality) {
+  const { counts } = quality;
+  if (elements.fixCounts) {
+    const rejected = counts.rejectedAccuracy + counts.rejectedJump;
+    elements.fixCounts.textContent =
+      `${counts.accepted} accepted · ${rejected} rejected (${counts.rejectedAccuracy} accuracy, ${counts.rejectedJump} jump)`;
+  }
+  return {
+    fixesAccepted: counts.accepted,
+    fixesRejected: counts.rejectedAccuracy + counts.rejectedJump,
+    fixesRejectedAccuracy: counts.rejectedAccuracy,
+    fixesRejectedJump: counts.rejectedJump,
+    fixRejectReason: quality.reason,
+    stationary: quality.stationary,
+  };
+}
+
+function renderElevation(state) {
+  if (elements.altitude) {
+    elements.altitude.textContent = formatNullable(
+      state.altitude,
+      value => `${value.toFixed(0)} m / ${(value * FEET_PER_METER).toFixed(0)} ft`
+    );
+  }
+  if (elements.verticalSpeed) {
+    elements.verticalSpeed.textContent = formatNullable(
+      state.verticalSpeed,
+      value => `${(value * 60).toFixed(1)} m/min / ${(value * 60 * FEET_PER_METER).toFixed(0)} ft/min`
+    );
+  }
+  if (elements.grade) {
+    elements.grade.textContent = formatNullable(state.grade, value => `${value.toFixed(1)} %`);
+  }
+  if (elements.elevationTotals) {
+    elements.elevationTotals.textContent = `${state.ascent.toFixed(0)} m ↑ / ${state.descent.toFixed(0)} m ↓`;
+  }
+  return {
+    altitude: state.altitude,
+    altitudeRaw: state.altitudeRaw,
+    altitudeFeet: Number.isFinite(state.altitude) ? state.altitude * FEET_PER_METER : null,
+    verticalSpeedMpm: Number.isFinite(state.verticalSpeed) ? state.verticalSpeed * 60 : null,
+    verticalSpeedFpm: Number.isFinite(state.verticalSpeed) ? state.verticalSpeed * 60 * FEET_PER_METER : null,
+    grade: state.grade,
+    ascentMeters: state.ascent,
+    descentMeters: state.descent,
+  };
+}
+
+function renderGForces(state) {
+  const formatG = value => `${value >= 0 ? "+" : ""}${value.toFixed(2)} g`;
+  if (elements.gmeterLong) {
+    elements.gmeterLong.textContent = formatNullable(state.gLong, formatG);
+  }
+  if (elements.gmeterLat) {
+    elements.gmeterLat.textContent = formatNullable(state.gLat, formatG);
+  }
+  if (elements.gmeterPeak) {
+    elements.gmeterPeak.textContent = formatNullable(state.gPeak, value => `${value.toFixed(2)} g`);
+  }
+  if (elements.gmeterSource) {
+    elements.gmeterSource.textContent = state.source === "sensor" ? "Motion sensor + GPS" : state.source === "gps" ? "GPS only" : "--";
+  }
+  drawFrictionCircle(elements.gmeterCanvas, state);
+  return { gLong: state.gLong, gLat: state.gLat, gPeak: state.gPeak, gSource: state.source };
+}
+
+function renderSignalHealth(state) {
+  setSpeedDetail(elements.signalRate, state.rateHz, value => `${value.toFixed(1)} Hz`);
+  setSpeedDetail(elements.signalJitter, state.jitterMs, value => `±${value.toFixed(0)} ms`);
+  setSpeedDetail(elements.signalAccuracy, state.accuracy, value => `±${value.toFixed(1)} m`);
+  setSpeedDetail(elements.signalAltitudeAccuracy, state.altitudeAccuracy, value => `±${value.toFixed(1)} m`);
+  setSpeedDetail(elements.signalAge, state.ageSeconds, value => `${value.toFixed(0)} s`);
+  if (elements.signalSpeedSource) {
+    const labels = { device: "Device (Doppler)", derived: "Derived from positions" };
+    elements.signalSpeedSource.textContent = labels[state.speedSource] || "--";
+  }
+  if (elements.signalStatus) {
+    const hasData = state.ageSeconds !== null;
+    elements.signalStatus.textContent = !hasData ? "--" : state.weak ? "Weak" : "Good";
+    elements.signalStatus.classList.toggle("danger", hasData && state.weak);
+    elements.signalStatus.classList.toggle("success", hasData && !state.weak);
+  }
+  drawAccuracyHistory(elements.signalChart, state.history);
+  renderSignalBanner(state);
+  return {
+    signalRateHz: state.rateHz,
+    signalJitterMs: state.jitterMs,
+    signalAccuracy: state.accuracy,
+    signalAltitudeAccuracy: state.altitudeAccuracy,
+    signalAgeSeconds: state.ageSeconds,
+    speedSource: state.speedSource,
+    signalWeak: state.weak,
+    signalLost: state.lost,
+    signalLostReason: state.lostReason,
+    signalLostSeconds: state.lostSeconds,
+  };
+}
+
+function renderSignalBanner(state) {
+  if (!elements.signalBanner) {
+    return;
+  }
+  elements.signalBanner.hidden = !state.lost;
+  if (!state.lost) {
+    return;
+  }
+  const retry = state.retrySeconds === null
+    ? "waiting for the next fix"
+    : state.retrySeconds > 0 ? `retrying in ${state.retrySeconds} s` : "retrying";
+  elements.signalBanner.textContent =
+    `GPS signal lost (${SIGNAL_LOSS_LABELS[state.lostReason]}) for ${state.lostSeconds} s · ${retry}. Tracking continues.`;
+}
+
+function formatNullable(value, mapper = defaultNumberFormatter) {
+  if (!Number.isFinite(value) || value === null) {
+    return "--";
+  }
+  return mapper(value);
+}
+
+function defaultNumberFormatter(value) {
+  return value.toFixed(2);
+}
+
+function formatSeconds(value) {
+  return `${value.toFixed(2)} s`;
+}
+
+function formatTimerResult(value, error) {
+  if (!Number.isFinite(value)) {
+    return "--";
+  }
+  return Number.isFinite(error) ? `${value.toFixed(2)} ±${error.toFixed(2)} s` : formatSeconds(value);
+}
+
+function formatClock(totalSeconds) {
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
+}
+
+function pad(value) {
+  return value.toString().padStart(2, "0");
+}
+
+function toRadians(value) {
+  return (value * Math.PI) / 180;
+}
+
+// All localStorage access goes through here. Writes are batched and flushed
+// once they have been quiet for a second (or have waited five), and whenever
+// the page is hidden, so stores that persist on every fix stay cheap.
+function createStorage() {
+  const pending = new Map();
+  let flushTimer = null;
+  let pendingSince = null;
+  let locked = false;
+  let version = migrate();
+
+  window.addEventListener("pagehide", flush);
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden") {
+      flush();
+    }
+  });
+
+  function read(key) {
+    if (pending.has(key)) {
+      const value = pending.get(key);
+      return value === null ? null : serializeStorageValue(value);
+    }
+    return readStorageItem(key);
+  }
+
+  // Strings are stored as-is and anything else as JSON. Values are serialised
+  // at flush time, so stores can keep mutating the object they handed over.
+  function write(key, value) {
+    if (locked) {
+      return;
+    }
+    pending.set(key, value);
+    const now = Date.now();
+    pendingSince = pendingSince ?? now;
+    window.clearTimeout(flushTimer);
+    flushTimer = window.setTimeout(flush, Math.max(0, Math.min(STORAGE_FLUSH_DELAY_MS, pendingSince + STORAGE_FLUSH_MAX_WAIT_MS - now)));
+  }
+
+  function remove(key) {
+    write(key, null);
+  }
+
+  function flush() {
+    window.clearTimeout(flushTimer);
+    flushTimer = null;
+    pendingSince = null;
+    pending.forEach((value, key) => {
+      if (value === null) {
+        removeStorageItem(key);
+      } else {
+        writeStorageItem(key, serializeStorageValue(value));
+      }
+    });
+    pending.clear();
+  }
+
+  // Saves what is pending and drops later writes, for when the page is about
+  // to reload with different data underneath it.
+  function lock() {
+    flush();
+    locked = true;
+  }
+
+  function keys() {
+    flush();
+    try {
+      return Object.keys(window.localStorage)
+        .filter(name => name.startsWith(LOCAL_STORAGE_PREFIX))
+        .map(name => name.slice(LOCAL_STORAGE_PREFIX.length))
+        .filter(key => key !== STORAGE_SCHEMA_KEY);
+    } catch (err) {
+      console.warn("Unable to list stored state", err);
+      return [];
+    }
+  }
+
+  // Swaps in a backup and upgrades it to the current schema. Later writes are
+  // dropped so the running stores cannot overwrite it before the page reloads.
+  function restore(entries, fromVersion) {
+    pending.clear();
+    window.clearTimeout(flushTimer);
+    keys().forEach(removeStorageItem);
+    Object.entries(entries).forEach(([key, value]) => writeStorageItem(key, value));
+    writeStorageItem(STORAGE_SCHEMA_KEY, String(fromVersion));
+    version = migrate();
+    locked = true;
+  }
+
+  // Stops at the first step that fails: later steps expect its output, and
+  // leaving the version below it retries the step on the next load.
+  function migrate() {
+    const stored = parseInt(readStorageItem(STORAGE_SCHEMA_KEY), 10) || 1;
+    if (stored > STORAGE_SCHEMA_VERSION) {
+      console.warn(`Stored data uses schema version ${stored}; this app only knows up to ${STORAGE_SCHEMA_VERSION}.`);
+      return stored;
+    }
+    let current = stored;
+    for (const step of STORAGE_MIGRATIONS.filter(entry => entry.version > stored)) {
+      try {
+        step.migrate();
+      } catch (err) {
+        console.warn(`Unable to migrate stored data to version ${step.version}`, err);
+        break;
+      }
+      current = step.version;
+    }
+    writeStorageItem(STORAGE_SCHEMA_KEY, String(current));
+    return current;
+  }
+
+  function getVersion() {
+    return version;
+  }
+
+  return { read, write, remove, flush, lock, keys, restore, getVersion };
+}
+
+function serializeStorageValue(value) {
+  return typeof value === "string" ? value : JSON.stringify(value);
+}
+
+function readStorageItem(key) {
+  try {
+    return window.localStorage.getItem(LOCAL_STORAGE_PREFIX + key);
+  } catch (err) {
+    console.warn("Unable to read state", err);
+    return null;
+  }
+}
+
+function writeStorageItem(key, text) {
+  try {
+    window.localStorage.setItem(LOCAL_STORAGE_PREFIX + key, text);
+  } catch (err) {
+    console.warn("Unable to persist state", err);
+  }
+}
+
+function removeStorageItem(key) {
+  try {
+    window.localStorage.removeItem(LOCAL_STORAGE_PREFIX + key);
+  } catch (err) {
+    console.warn("Unable to clear state", err);
+  }
+}
+
+// Migrations run before any store is created, so they work on the raw items.
+// v2: the lifetime odometer starts from whatever the old distance total had reached.
+function migrateTripOdometer() {
+  if (readStorageItem("trips") !== null) {
+    return;
+  }
+  const legacy = JSON.parse(readStorageItem("distance") || "{}");
+  if (Number.isFinite(legacy.total)) {
+    writeStorageItem("trips", JSON.stringify({ odometer: legacy.total }));
+  }
+}
+
+// v3: data saved before vehicle profiles existed belongs to the default vehicle.
+function migrateVehicleScopedKeys() {
+  VEHICLE_SCOPED_KEYS.forEach(key => {
+    const raw = readStorageItem(key);
+    if (raw === null) {
+      return;
+    }
+    if (readStorageItem(vehicleStateKey(key, DEFAULT_VEHICLE_PROFILE)) === null) {
+      writeStorageItem(vehicleStateKey(key, DEFAULT_VEHICLE_PROFILE), raw);
+    }
+    removeStorageItem(key);
+  });
+}
+
+function vehicleStateKey(key, vehicleId) {
+  return `${key}:${vehicleId}`;
+}
+
+function scopeStateKey(key) {
+  return VEHICLE_SCOPED_KEYS.includes(key) ? vehicleStateKey(key, vehicleStore.getActiveId()) : key;
+}
+
+function loadState(key, fallback) {
+  const raw = storage.read(scopeStateKey(key));
+  if (!raw) {
+    return { ...fallback };
+  }
+  try {
+    return { ...fallback, ...JSON.parse(raw) };
+  } catch (err) {
+    console.warn("Unable to read state", err);
+    return { ...fallback };
+  }
+}
+
+function persistState(key, value) {
+  storage.write(scopeStateKey(key), value);
+}
+
+function clearState(key) {
+  storage.remove(scopeStateKey(key));
+}
+
+// A vehicle's preferred unit wins over the last unit picked on the toggle.
+function loadSpeedUnitPreference() {
+  const preferred = vehicleStore.getActive().unit;
+  if (preferred && SPEED_UNITS[preferred]) {
+    return preferred;
+  }
+  const stored = readPreference(SPEED_UNIT_STORAGE_KEY);
+  return stored && SPEED_UNITS[stored] ? stored : DEFAULT_SPEED_UNIT;
+}
+
+function persistSpeedUnitPreference(unit) {
+  writePreference(SPEED_UNIT_STORAGE_KEY, unit);
+}
+
+function openTelemetryDatabase() {
+  if (!telemetryDatabasePromise) {
+    telemetryDatabasePromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not supported on this device."));
+        return;
+      }
+      const request = window.indexedDB.open(TELEMETRY_DB_NAME, TELEMETRY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SESSION_STORE_NAME)) {
+          db.createObjectStore(SESSION_STORE_NAME, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(SESSION_SAMPLE_STORE_NAME)) {
+          db.createObjectStore(SESSION_SAMPLE_STORE_NAME, { keyPath: ["sessionId", "index"] });
+        }
+        if (!db.objectStoreNames.contains(RUN_STORE_NAME)) {
+          db.createObjectStore(RUN_STORE_NAME, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(RUN_SAMPLE_STORE_NAME)) {
+          db.createObjectStore(RUN_SAMPLE_STORE_NAME, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(TRACK_STORE_NAME)) {
+          db.createObjectStore(TRACK_STORE_NAME, { keyPath: "id" });
+        }
+        if (!db.objectStoreNames.contains(DISPLAY_STORE_NAME)) {
+          db.createObjectStore(DISPLAY_STORE_NAME, { keyPath: "id" });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error || new Error("Unable to open telemetry database."));
+    });
+  }
+  return telemetryDatabasePromise;
+}
+
+// Pass a list of store names to run one transaction over several stores; the
+// operation then receives one object store per name, in the same order.
+async function runDatabaseRequest(storeNames, mode, operation) {
+  const names = [].concat(storeNames);
+  const db = await openTelemetryDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(names, mode);
+    const request = operation(...names.map(name => transaction.objectStore(name)));
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error || new Error("Database transaction failed."));
+    transaction.onabort = () => reject(transaction.error || new Error("Database transaction aborted."));
+  });
+}
+
+// A session is a small header plus its fixes in numbered chunks, so each flush
+// only appends the fixes that arrived since the last one.
+function saveSessionRecord(header, chunk = null) {
+  return runDatabaseRequest([SESSION_STORE_NAME, SESSION_SAMPLE_STORE_NAME], "readwrite", (sessionStore, sampleStore) => {
+    if (chunk) {
+      sampleStore.put(chunk);
+    }
+    return sessionStore.put(header);
+  });
+}
+
+function deleteSessionRecord(id) {
+  return runDatabaseRequest([SESSION_STORE_NAME, SESSION_SAMPLE_STORE_NAME], "readwrite", (sessionStore, sampleStore) => {
+    sampleStore.delete(sessionSampleRange(id));
+    return sessionStore.delete(id);
+  });
+}
+
+async function loadSessionRecord(id) {
+  const header = await runDatabaseRequest(SESSION_STORE_NAME, "readonly", store => store.get(id));
+  if (!header) {
+    return null;
+  }
+  const chunks = await runDatabaseRequest(SESSION_SAMPLE_STORE_NAME, "readonly", store => store.getAll(sessionSampleRange(id)));
+  return { ...header, samples: chunks.flatMap(chunk => chunk.samples) };
+}
+
+function sessionSampleRange(id) {
+  return IDBKeyRange.bound([id, 0], [id, Infinity]);
+}
+
+function loadSessionRecords() {
+  return runDatabaseRequest(SESSION_STORE_NAME, "readonly", store => store.getAll());
+}
+
+function saveRunRecord(record) {
+  return runDatabaseRequest(RUN_STORE_NAME, "readwrite", store => store.put(record));
+}
+
+function saveRunRecords(records) {
+  return runDatabaseRequest(RUN_STORE_NAME, "readwrite", store => {
+    records.forEach(record => store.put(record));
+    return null;
+  });
+}
+
+function saveRunWithSamples(record, samples) {
+  return runDatabaseRequest([RUN_STORE_NAME, RUN_SAMPLE_STORE_NAME], "readwrite", (runStore, sampleStore) => {
+    runStore.put(record);
+    sampleStore.put({ id: record.id, samples });
+    return null;
+  });
+}
+
+function deleteRunRecord(id) {
+  return runDatabaseRequest([RUN_STORE_NAME, RUN_SAMPLE_STORE_NAME], "readwrite", (runStore, sampleStore) => {
+    runStore.delete(id);
+    sampleStore.delete(id);
+    return null;
+  });
+}
+
+function loadRunRecords() {
+  return runDatabaseRequest(RUN_STORE_NAME, "readonly", store => store.getAll());
+}
+
+function loadRunSamples(id) {
+  return runDatabaseRequest(RUN_SAMPLE_STORE_NAME, "readonly", store => store.get(id));
+}
+
+function saveTrackRecord(record) {
+  return runDatabaseRequest(TRACK_STORE_NAME, "readwrite", store => store.put(record));
+}
+
+function deleteTrackRecord(id) {
+  return runDatabaseRequest(TRACK_STORE_NAME, "readwrite", store => store.delete(id));
+}
+
+function loadTrackRecords() {
+  return runDatabaseRequest(TRACK_STORE_NAME, "readonly", store => store.getAll());
+}
+
+function saveDisplayRecord(record) {
+  return runDatabaseRequest(DISPLAY_STORE_NAME, "readwrite", store => store.put(record));
+}
+
+function deleteDisplayRecord(id) {
+  return runDatabaseRequest(DISPLAY_STORE_NAME, "readwrite", store => store.delete(id));
+}
+
+function loadDisplayRecords() {
+  return runDatabaseRequest(DISPLAY_STORE_NAME, "readonly", store => store.getAll());
+}
+
+// One transaction, so a failed restore leaves every store as it was.
+function replaceDatabaseStores(recordsByStore) {
+  const storeNames = Object.keys(recordsByStore);
+  return runDatabaseRequest(storeNames, "readwrite", (...stores) => {
+    stores.forEach((store, index) => {
+      store.clear();
+      recordsByStore[storeNames[index]].forEach(record => store.put(record));
+    });
+    return null;
+  });
+}
+
+async function createBackup() {
+  const entries = Object.fromEntries(storage.keys().map(key => [key, storage.read(key)]));
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: storage.getVersion(),
+    exportedAt: new Date().toISOString(),
+    storage: entries,
+  };
+  for (const [field, storeName] of Object.entries(BACKUP_DATABASE_STORES)) {
+    backup[field] = await runDatabaseRequest(storeName, "readonly", store => store.getAll());
+  }
+  return JSON.stringify(backup, null, 2);
+}
+
+async function restoreBackup(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error("The file is not valid JSON.");
+  }
+  if (parsed?.format !== BACKUP_FORMAT || !parsed.storage || typeof parsed.storage !== "object") {
+    throw new Error("The file is not a speedometer backup.");
+  }
+  const version = Number.isInteger(parsed.version) ? parsed.version : 1;
+  if (version > STORAGE_SCHEMA_VERSION) {
+    throw new Error("The backup was made by a newer version of the app.");
+  }
+  if (!Object.values(parsed.storage).every(value => typeof value === "string")) {
+    throw new Error("The backup is damaged: its settings are not all text.");
+  }
+  const recordsByStore = {};
+  Object.entries(BACKUP_DATABASE_STORES).forEach(([field, storeName]) => {
+    const records = parsed[field] ?? [];
+    if (!Array.isArray(records) || !records.every(isBackupRecord)) {
+      throw new Error(`The backup is damaged: "${field}" is not a list of saved records.`);
+    }
+    recordsByStore[storeName] = records;
+  });
+  await replaceDatabaseStores(recordsByStore);
+  storage.restore(parsed.storage, version);
+}
+
+function isBackupRecord(record) {
+  return Boolean(record) && typeof record === "object" && (typeof record.id === "string" || Number.isFinite(record.id));
+}
+
+function loadPositionSourcePreference() {
+  const stored = readPreference(POSITION_SOURCE_STORAGE_KEY);
+  return stored && positionSources[stored] ? stored : DEFAULT_POSITION_SOURCE;
+}
+
+function readPreference(key) {
+  return storage.read(key);
+}
+
+function writePreference(key, value) {
+  storage.write(key, String(value));
+}
+
+function createSettingsStore() {
+  const defaults = {
+    kalmanFilter: false,
+    maxAccuracyM: 30,
+    maxSpeedMs: 100,
+    maxAccelMs2: 15,
+    dragRollout: false,
+    brakeStartSpeed: "60-mph",
+    tripStopMinutes: 5,
+    speedBandEdges: DEFAULT_SPEED_BAND_EDGES,
+    speedAlertThresholds: [],
+    speedAlertMarginPct: 0,
+    speedAlertHysteresis: { value: 3, unit: DEFAULT_SPEED_UNIT },
+    speedAlertSound: true,
+  };
+  let state = loadState("settings", defaults);
+
+  function update(patch) {
+    state = { ...state, ...patch };
+    persistState("settings", state);
+    return get();
+  }
+
+  function get() {
+    return { ...state };
+  }
+
+  return { update, get };
+}
+
+function createVehicleStore() {
+  const defaults = {
+    active: DEFAULT_VEHICLE_PROFILE,
+    vehicles: [createVehicle(DEFAULT_VEHICLE_PROFILE, "My Vehicle")],
+  };
+  let state = loadState("vehicles", defaults);
+  if (!state.vehicles.some(vehicle => vehicle.id === DEFAULT_VEHICLE_PROFILE)) {
+    state.vehicles = [...defaults.vehicles, ...state.vehicles];
+  }
+
+  function add(name) {
+    const vehicle = sanitizeVehicle(createVehicle(createRunId(), name));
+    state.vehicles = [...state.vehicles, vehicle];
+    persistState("vehicles", state);
+    return vehicle;
+  }
+
+  function update(id, patch) {
+    const index = state.vehicles.findIndex(vehicle => vehicle.id === id);
+    if (index === -1) {
+      throw new Error("That vehicle no longer exists.");
+    }
+    const vehicle = sanitizeVehicle({ ...state.vehicles[index], ...patch, id });
+    state.vehicles = [...state.vehicles.slice(0, index), vehicle, ...state.vehicles.slice(index + 1)];
+    persistState("vehicles", state);
+    return vehicle;
+  }
+
+  // Runs recorded with the vehicle stay in the history; its stats and trips go.
+  function remove(id) {
+    if (id === DEFAULT_VEHICLE_PROFILE) {
+      throw new Error("The first vehicle cannot be deleted.");
+    }
+    state.vehicles = state.vehicles.filter(vehicle => vehicle.id !== id);
+    if (state.active === id) {
+      state.active = DEFAULT_VEHICLE_PROFILE;
+    }
+    VEHICLE_SCOPED_KEYS.forEach(key => storage.remove(vehicleStateKey(key, id)));
+    persistState("vehicles", state);
+  }
+
+  function activate(id) {
+    if (!find(id)) {
+      throw new Error("That vehicle no longer exists.");
+    }
+    state.active = id;
+    persistState("vehicles", state);
+  }
+
+  function find(id) {
+    return state.vehicles.find(vehicle => vehicle.id === id) || null;
+  }
+
+  function list() {
+    return [...state.vehicles];
+  }
+
+  function getActive() {
+    return find(state.active) || find(DEFAULT_VEHICLE_PROFILE);
+  }
+
+  function getActiveId() {
+    return getActive().id;
+  }
+
+  return { add, update, remove, activate, find, list, getActive, getActiveId };
+}
+
+function createVehicle(id, name) {
+  return { id, name, weightKg: null, notes: "", unit: null, correction: 1 };
+}
+
+function sanitizeVehicle(vehicle) {
+  const name = String(vehicle.name ?? "").trim().slice(0, 40);
+  if (!name) {
+    throw new Error("Give the vehicle a name.");
+  }
+  const correction = Number(vehicle.correction ?? 1);
+  if (!Number.isFinite(correction) || correction < VEHICLE_CORRECTION_MIN || correction > VEHICLE_CORRECTION_MAX) {
+    throw new Error(`The speed correction must be between ${VEHICLE_CORRECTION_MIN} and ${VEHICLE_CORRECTION_MAX}.`);
+  }
+  const weightKg = parseOptionalNumber(vehicle.weightKg);
+  return {
+    id: vehicle.id,
+    name,
+    weightKg: weightKg !== null && weightKg > 0 ? weightKg : null,
+    notes: String(vehicle.notes ?? "").slice(0, 500),
+    unit: SPEED_UNITS[vehicle.unit] ? vehicle.unit : null,
+    correction,
+  };
+}
+
+// Besides the per-sample min/max/mean, time between fixes is split into moving
+// and stopped so averages are not dragged down by time spent at lights.
+function createSpeedStatsStore() {
+  const defaults = { count: 0, total: 0, min: null, max: null, ...createMotionTotals(), lastTime: null };
+  let state = loadState("speed_stats", defaults);
+  let session = { ...createMotionTotals(), lastTime: null };
+
+  function update(speed, time, distance) {
+    if (!Number.isFinite(speed)) {
+      return get();
+    }
+    state.count += 1;
+    state.total += speed;
+    state.min = state.min === null ? speed : Math.min(state.min, speed);
+    state.max = state.max === null ? speed : Math.max(state.max, speed);
+
+    if (Number.isFinite(time)) {
+      const delta = Number.isFinite(distance) && distance > 0 ? distance : 0;
+      const moving = speed >= MOVING_SPEED_MS;
+      accumulateMotion(state, motionElapsed(state.lastTime, time), delta, moving);
+      accumulateMotion(session, motionElapsed(session.lastTime, time), delta, moving);
+      state.lastTime = time;
+      session.lastTime = time;
+    }
+    persistState("speed_stats", state);
+    return get();
+  }
+
+  function startSession() {
+    session = { ...createMotionTotals(), lastTime: null };
+    return get();
+  }
+
+  function reset() {
+    state = { ...defaults };
+    session = { ...createMotionTotals(), lastTime: null };
+    persistState("speed_stats", state);
+  }
+
+  function get() {
+    const average = state.count ? state.total / state.count : null;
+    return {
+      min: state.min,
+      max: state.max,
+      average,
+      allTime: describeMotionTotals(state),
+      session: describeMotionTotals(session),
+    };
+  }
+
+  return { update, startSession, reset, get };
+}
+
+// Time and distance are kept in fine speed bins so the bands can be changed, or
+// shown in another unit, without losing what has already been recorded.
+function createSpeedHistogramStore() {
+  const defaults = { bins: {}, lastTime: null };
+  let state = loadState("speed_histogram", defaults);
+
+  function update(speed, time, distance) {
+    if (!Number.isFinite(speed) || !Number.isFinite(time)) {
+      return get();
+    }
+    const elapsed = motionElapsed(state.lastTime, time);
+    const delta = Number.isFinite(distance) && distance > 0 ? distance : 0;
+    state.lastTime = time;
+    if (elapsed > 0 || delta > 0) {
+      const index = Math.max(0, Math.floor(speed / SPEED_BIN_MS));
+      const [seconds, meters] = state.bins[index] || [0, 0];
+      state.bins[index] = [seconds + elapsed, meters + delta];
+    }
+    persistState("speed_histogram", state);
+    return get();
+  }
+
+  function reset() {
+    state = { ...defaults, bins: {} };
+    persistState("speed_histogram", state);
+    return get();
+  }
+
+  function get() {
+    const bands = describeSpeedBands(settingsStore.get().speedBandEdges, activeSpeedUnit)
+      .map(band => ({ ...band, seconds: 0, meters: 0 }));
+    Object.entries(state.bins).forEach(([index, [seconds, meters]]) => {
+      const speed = (Number(index) + 0.5) * SPEED_BIN_MS;
+      const band = bands.reduce((match, candidate) => (speed >= candidate.low ? candidate : match), bands[0]);
+      band.seconds += seconds;
+      band.meters += meters;
+    });
+    return bands.map(({ low, ...band }) => band);
+  }
+
+  return { update, reset, get };
+}
+
+// Rolling windows are summed from short buckets so only the last 15 minutes of
+// fixes need to be kept. Windows end at the latest fix rather than the clock,
+// and are cleared when tracking starts so they never reach into the last session.
+function createRollingSpeedStore() {
+  const defaults = { buckets: [], lastTime: null };
+  let state = loadState("speed_rolling", defaults);
+
+  function update(speed, time, distance) {
+    if (!Number.isFinite(speed) || !Number.isFinite(time)) {
+      return get();
+    }
+    const elapsed = motionElapsed(state.lastTime, time);
+    const delta = Number.isFinite(distance) && distance > 0 ? distance : 0;
+    const start = Math.floor(time / ROLLING_BUCKET_S) * ROLLING_BUCKET_S;
+    let bucket = state.buckets[state.buckets.length - 1];
+    if (!bucket || bucket.start !== start) {
+      bucket = { start, ...createMotionTotals(), min: speed, max: speed };
+      state.buckets.push(bucket);
+    }
+    accumulateMotion(bucket, elapsed, delta, speed >= MOVING_SPEED_MS);
+    bucket.min = Math.min(bucket.min, speed);
+    bucket.max = Math.max(bucket.max, speed);
+    state.lastTime = time;
+    const horizon = time - Math.max(...ROLLING_WINDOWS_S);
+    state.buckets = state.buckets.filter(entry => entry.start + ROLLING_BUCKET_S > horizon);
+    persistState("speed_rolling", state);
+    return get();
+  }
+
+  function reset() {
+    state = { ...defaults, buckets: [] };
+    persistState("speed_rolling", state);
+    return get();
+  }
+
+  function get() {
+    return ROLLING_WINDOWS_S.map(window => {
+      const buckets = state.lastTime === null
+        ? []
+        : state.buckets.filter(entry => entry.start > state.lastTime - window);
+      const totals = buckets.reduce((sum, entry) => {
+        Object.keys(sum).forEach(key => {
+          sum[key] += entry[key];
+        });
+        return sum;
+      }, createMotionTotals());
+      return {
+        window,
+        min: buckets.length ? Math.min(...buckets.map(entry => entry.min)) : null,
+        max: buckets.length ? Math.max(...buckets.map(entry => entry.max)) : null,
+        ...describeMotionTotals(totals),
+      };
+    });
+  }
+
+  return { update, reset, get };
+}
+
+// Edges are read in the given unit; everything below walking pace is its own
+// "Stopped" band. `low` is the band's lower bound in m/s.
+function describeSpeedBands(text, unit) {
+  const label = SPEED_UNITS[unit].label;
+  const edges = parseSpeedBandEdges(text).filter(edge => speedToMetersPerSecond(edge, unit) > MOVING_SPEED_MS);
+  const bounds = [0, ...edges];
+  return [
+    { label: "Stopped", from: null, to: null, unit, low: 0 },
+    ...bounds.map((from, index) => {
+      const to = index + 1 < bounds.length ? bounds[index + 1] : null;
+      return {
+        label: index === 0 ? `< ${to ?? "∞"} ${label}` : to === null ? `${from}+ ${label}` : `${from}–${to} ${label}`,
+        from,
+        to,
+        unit,
+        low: index === 0 ? MOVING_SPEED_MS : speedToMetersPerSecond(from, unit),
+      };
+    }),
+  ];
+}
+
+function parseSpeedBandEdges(text) {
+  const edges = parseSpeedList(text).slice(0, SPEED_BAND_MAX_EDGES);
+  return edges.length ? edges : parseSpeedBandEdges(DEFAULT_SPEED_BAND_EDGES);
+}
+
+// Reads "30, 50 70" style lists into distinct positive numbers, lowest first.
+function parseSpeedList(text) {
+  const values = String(text ?? "")
+    .split(/[\s,;]+/)
+    .map(parseFloat)
+    .filter(value => Number.isFinite(value) && value > 0);
+  return [...new Set(values)].sort((a, b) => a - b);
+}
+
+// Each threshold is one alert level; with two or more, the highest is critical.
+// Thresholds keep the unit they were entered in and are raised by the margin; a
+// level only clears once speed drops the hysteresis below where it was raised.
+function createSpeedAlert() {
+  let level = 0;
+
+  function update(speed) {
+    const settings = settingsStore.get();
+    const margin = 1 + Math.max(0, Number(settings.speedAlertMarginPct) || 0) / 100;
+    const triggers = settings.speedAlertThresholds
+      .map(threshold => speedToMetersPerSecond(threshold.value, threshold.unit) * margin)
+      .sort((a, b) => a - b);
+    const hysteresis = speedToMetersPerSecond(settings.speedAlertHysteresis.value, settings.speedAlertHysteresis.unit);
+    const previous = level;
+
+    if (!Number.isFinite(speed) || !triggers.length) {
+      level = 0;
+    } else {
+      const reached = triggers.filter(trigger => speed > trigger).length;
+      level = Math.min(level, triggers.length);
+      while (level > reached && speed < triggers[level - 1] - hysteresis) {
+        level -= 1;
+      }
+      level = Math.max(level, reached);
+    }
+    return { ...describe(triggers), raised: level > previous };
+  }
+
+  function reset() {
+    level = 0;
+  }
+
+  function describe(triggers) {
+    const state = level === 0 ? "none" : level === triggers.length && triggers.length > 1 ? "critical" : "warning";
+    return { level, state, threshold: level ? triggers[level - 1] : null };
+  }
+
+  return { update, reset };
+}
+
+// The audio context can only start after a user gesture, so it is created on
+// Start Tracking and reused for every alert after that.
+function createAlertTone() {
+  let context = null;
+
+  function unlock() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!context && AudioContextClass) {
+      context = new AudioContextClass();
+    }
+    context?.resume?.().catch(() => {});
+  }
+
+  function play(kind) {
+    const tone = SPEED_ALERT_TONES[kind];
+    if (!context || !tone) {
+      return;
+    }
+    try {
+      let start = context.currentTime;
+      for (let beep = 0; beep < tone.beeps; beep += 1) {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        oscillator.type = "square";
+        oscillator.frequency.value = tone.frequency;
+        gain.gain.setValueAtTime(0.2, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + SPEED_ALERT_BEEP_S);
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start(start);
+        oscillator.stop(start + SPEED_ALERT_BEEP_S);
+        start += SPEED_ALERT_BEEP_S * 2;
+      }
+    } catch (err) {
+      console.warn("Unable to play alert tone", err);
+    }
+  }
+
+  return { unlock, play };
+}
+
+function motionElapsed(lastTime, time) {
+  const gap = lastTime !== null && time > lastTime ? time - lastTime : 0;
+  return gap <= MOTION_MAX_GAP_S ? gap : 0;
+}
+
+function createMotionTotals() {
+  return { movingTime: 0, stoppedTime: 0, distance: 0, movingDistance: 0 };
+}
+
+function accumulateMotion(totals, elapsed, distance, moving) {
+  totals.distance += distance;
+  if (moving) {
+    totals.movingTime += elapsed;
+    totals.movingDistance += distance;
+  } else {
+    totals.stoppedTime += elapsed;
+  }
+}
+
+function describeMotionTotals(totals) {
+  const elapsed = totals.movingTime + totals.stoppedTime;
+  return {
+    movingTime: totals.movingTime,
+    stoppedTime: totals.stoppedTime,
+    movingAverage: totals.movingTime > 0 ? totals.movingDistance / totals.movingTime : null,
+    elapsedAverage: elapsed > 0 ? totals.distance / elapsed : null,
+  };
+}
+
+function createAccelerationStore() {
+  const defaults = { lastSpeed: null, lastTime: null, peakAccel: null, peakDecel: null };
+  let state = loadState("acceleration", defaults);
+  let current = null;
+
+  function update(speed, timestamp, measuredAccel = null) {
+    if (Number.isFinite(measuredAccel) && Number.isFinite(timestamp)) {
+      current = measuredAccel;
+      trackPeaks(current);
+    } else if (Number.isFinite(speed) && Number.isFinite(timestamp) && state.lastSpeed !== null && state.lastTime !== null) {
+      const dt = timestamp - state.lastTime;
+      if (dt > 0) {
+        current = (speed - state.lastSpeed) / dt;
+        trackPeaks(current);
+      }
+    } else {
+      current = null;
+    }
+
+    if (Number.isFinite(speed) && Number.isFinite(timestamp)) {
+      state.lastSpeed = speed;
+      state.lastTime = timestamp;
+      persistState("acceleration", state);
+    }
+
+    return get();
+  }
+
+  function trackPeaks(value) {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    if (value > 0) {
+      state.peakAccel = state.peakAccel === null ? value : Math.max(state.peakAccel, value);
+    }
+    if (value < 0) {
+      const magnitude = Math.abs(value);
+      state.peakDecel = state.peakDecel === null ? magnitude : Math.max(state.peakDecel, magnitude);
+    }
+  }
+
+  function reset() {
+    state = { ...defaults };
     current = null;
     persistState("acceleration", state);
     return get();
   }
 
   function get() {
-    const decel = current && current < 0 ? Math.abs(current) : (current === 0 ? 0 : null);
-    return {
-      current: Number.isFinite(current) ? current : null,
-      currentDecel: Number.isFinite(decel) ? decel : null,
-      peakAccel: state.peakAccel,
-      peakDecel: state.peakDecel,
-    };
+    const decel = current && current < 0 ? Math.abs(current) : (current === 0 ? 0 : null);
+    return {
+      current: Number.isFinite(current) ? current : null,
+      currentDecel: Number.isFinite(decel) ? decel : null,
+      peakAccel: state.peakAccel,
+      peakDecel: state.peakDecel,
+    };
+  }
+
+  return { update, reset, get };
+}
+
+function createDistanceStore() {
+  const defaults = { total: 0 };
+  let state = loadState("distance", defaults);
+
+  function update(delta) {
+    if (Number.isFinite(delta) && delta > 0) {
+      state.total += delta;
+      persistState("distance", state);
+    }
+    return state.total;
+  }
+
+  function reset() {
+    state = { ...defaults };
+    persistState("distance", state);
+    return state.total;
+  }
+
+  function get() {
+    return state.total;
+  }
+
+  return { update, reset, get };
+}
+
+// The odometer and trip meters A/B only ever grow until their own reset; the
+// current trip closes on its own once the vehicle has been stopped long enough.
+function createTripStore() {
+  let state = loadTripState();
+
+  function update(sample) {
+    const { time } = sample;
+    if (!Number.isFinite(time)) {
+      return get();
+    }
+    const distance = Number.isFinite(sample.delta) && sample.delta > 0 ? sample.delta : 0;
+    const moving = Number.isFinite(sample.speed) && sample.speed >= MOVING_SPEED_MS;
+    const stopLimit = settingsStore.get().tripStopMinutes * 60;
+    if (state.current && state.lastTime !== null && time - state.lastTime > stopLimit) {
+      endTrip(state.current.stoppedSince ?? state.lastTime);
+    }
+    const elapsed = motionElapsed(state.lastTime, time);
+    state.lastTime = time;
+    state.odometer += distance;
+    accumulateMotion(state.a, elapsed, distance, moving);
+    accumulateMotion(state.b, elapsed, distance, moving);
+
+    if (!state.current && moving) {
+      state.current = { ...createTripMeter(time * 1000), stoppedSince: null, stoppedTimeAtStop: null };
+    }
+    if (state.current) {
+      accumulateMotion(state.current, elapsed, distance, moving);
+      if (moving) {
+        state.current.stoppedSince = null;
+        state.current.stoppedTimeAtStop = null;
+      } else if (state.current.stoppedSince === null) {
+        state.current.stoppedSince = time;
+        state.current.stoppedTimeAtStop = state.current.stoppedTime;
+      } else if (time - state.current.stoppedSince >= stopLimit) {
+        endTrip(state.current.stoppedSince);
+      }
+    }
+    persistState("trips", state);
+    return get();
+  }
+
+  // The stop that ended the trip is not part of it.
+  function endTrip(endTime) {
+    const { stoppedSince, stoppedTimeAtStop, ...trip } = state.current;
+    state.current = null;
+    if (trip.distance < TRIP_MIN_DISTANCE_M) {
+      return;
+    }
+    const completed = {
+      ...trip,
+      stoppedTime: stoppedSince !== null ? stoppedTimeAtStop : trip.stoppedTime,
+      endedAt: Math.round(endTime * 1000),
+    };
+    state.trips = [completed, ...state.trips].slice(0, TRIP_HISTORY_LENGTH);
+  }
+
+  function resetMeter(key) {
+    if (key === "a" || key === "b") {
+      state[key] = createTripMeter(Date.now());
+      persistState("trips", state);
+    }
+    return get();
+  }
+
+  function get() {
+    return {
+      odometer: state.odometer,
+      a: describeTripMeter(state.a),
+      b: describeTripMeter(state.b),
+      current: state.current ? describeTripMeter(state.current) : null,
+      trips: state.trips.map(describeTripMeter),
+    };
+  }
+
+  return { update, resetMeter, get };
+}
+
+function loadTripState() {
+  return loadState("trips", {
+    odometer: 0,
+    a: createTripMeter(Date.now()),
+    b: createTripMeter(Date.now()),
+    current: null,
+    trips: [],
+    lastTime: null,
+  });
+}
+
+function createTripMeter(startedAt) {
+  return { startedAt, ...createMotionTotals() };
+}
+
+function describeTripMeter(meter) {
+  return {
+    startedAt: meter.startedAt,
+    endedAt: meter.endedAt ?? null,
+    distance: meter.distance,
+    duration: meter.movingTime + meter.stoppedTime,
+    movingTime: meter.movingTime,
+    averageSpeed: describeMotionTotals(meter).movingAverage,
+  };
+}
+
+function createElevationStore() {
+  let totals = { ascent: 0, descent: 0 };
+  let tracking = createTrackingState();
+
+  function createTrackingState() {
+    return {
+      altitudeRaw: null,
+      altitude: null,
+      verticalSpeed: null,
+      grade: null,
+      time: null,
+      pivot: null,
+      window: [],
+    };
+  }
+
+  function update(altitude, timestamp, totalDistance) {
+    if (!Number.isFinite(altitude) || !Number.isFinite(timestamp)) {
+      return get();
+    }
+    tracking.altitudeRaw = altitude;
+    if (tracking.altitude === null || tracking.time === null || timestamp <= tracking.time) {
+      tracking.altitude = altitude;
+      tracking.pivot = altitude;
+      tracking.time = timestamp;
+      tracking.window = [{ distance: totalDistance, altitude }];
+      return get();
+    }
+
+    const dt = timestamp - tracking.time;
+    const previous = tracking.altitude;
+    tracking.altitude += smoothingFactor(dt, ELEVATION_SMOOTHING_S) * (altitude - previous);
+    const climb = (tracking.altitude - previous) / dt;
+    tracking.verticalSpeed = tracking.verticalSpeed === null
+      ? climb
+      : tracking.verticalSpeed + smoothingFactor(dt, VERTICAL_SPEED_SMOOTHING_S) * (climb - tracking.verticalSpeed);
+    tracking.time = timestamp;
+
+    const change = tracking.altitude - tracking.pivot;
+    if (change >= ELEVATION_HYSTERESIS_M) {
+      totals.ascent += change;
+      tracking.pivot = tracking.altitude;
+    } else if (change <= -ELEVATION_HYSTERESIS_M) {
+      totals.descent += Math.abs(change);
+      tracking.pivot = tracking.altitude;
+    }
+
+    updateGrade(totalDistance);
+    return get();
+  }
+
+  function updateGrade(totalDistance) {
+    if (!Number.isFinite(totalDistance)) {
+      return;
+    }
+    const { window } = tracking;
+    const last = window[window.length - 1];
+    if (!last || totalDistance - last.distance >= GRADE_SAMPLE_SPACING_M) {
+      window.push({ distance: totalDistance, altitude: tracking.altitude });
+    }
+    while (window.length > 2 && totalDistance - window[1].distance >= GRADE_WINDOW_M) {
+      window.shift();
+    }
+    const first = window[0];
+    const run = totalDistance - first.distance;
+    if (run >= GRADE_MIN_RUN_M) {
+      tracking.grade = ((tracking.altitude - first.altitude) / run) * 100;
+    }
+  }
+
+  function resetReference() {
+    tracking = createTrackingState();
+  }
+
+  function reset() {
+    totals = { ascent: 0, descent: 0 };
+    resetReference();
+    return get();
+  }
+
+  function get() {
+    return {
+      altitude: tracking.altitude,
+      altitudeRaw: tracking.altitudeRaw,
+      verticalSpeed: tracking.verticalSpeed,
+      grade: tracking.grade,
+      ascent: totals.ascent,
+      descent: totals.descent,
+    };
+  }
+
+  return { update, reset, resetReference, get };
+}
+
+function smoothingFactor(dt, timeConstant) {
+  return 1 - Math.exp(-dt / timeConstant);
+}
+
+function createDragStrip(history) {
+  let phase = "waiting";
+  let stoppedSince = null;
+  let stage = null;
+  let run = null;
+  let status = "Stop to stage";
+
+  function update(sample, options = {}) {
+    const { distance, speed, time } = sample;
+    if (![distance, speed, time].every(Number.isFinite)) {
+      return get();
+    }
+    if (phase === "running") {
+      if (time - run.previous.time > TIMER_MAX_SAMPLE_GAP_S) {
+        endRun("Aborted (signal lost)");
+      } else {
+        advance(sample);
+      }
+      return get();
+    }
+    if (speed < DRAG_STAGE_SPEED_MS) {
+      // At a saved drag strip the car has to be sitting at the start line.
+      const gap = options.stagePosition ? haversineDistance(sample, options.stagePosition) : 0;
+      if (gap > DRAG_STAGE_RADIUS_M) {
+        phase = "waiting";
+        stoppedSince = null;
+        status = `Move to the drag start (${Math.round(gap)} m away)`;
+        return get();
+      }
+      stoppedSince = stoppedSince === null ? time : stoppedSince;
+      // A stop only counts once it has been held; a rolling slowdown never stages.
+      if (time - stoppedSince >= DRAG_STAGE_HOLD_S) {
+        phase = "staged";
+        stage = { distance, speed, time };
+        status = "Staged";
+      } else if (phase !== "staged") {
+        status = "Staging…";
+      }
+      return get();
+    }
+
+    stoppedSince = null;
+    if (phase !== "staged") {
+      return get();
+    }
+    phase = "running";
+    run = {
+      id: String(Math.round(stage.time * 1000)),
+      startedAt: Math.round(stage.time * 1000),
+      rollout: Boolean(options.rollout),
+      startDistance: stage.distance,
+      previous: stage,
+      start: null,
+      splits: {},
+      errors: {},
+      traps: {},
+    };
+    advance(sample);
+    return get();
+  }
+
+  // Distances are measured from the staged position; with rollout the clock
+  // only starts once the car has moved a foot, as it would on a real strip.
+  // Every mark is interpolated between the fixes that bracket it.
+  function advance(sample) {
+    const previous = { ...run.previous, distance: run.previous.distance - run.startDistance };
+    const current = { ...sample, distance: sample.distance - run.startDistance };
+    run.previous = sample;
+
+    if (!run.start) {
+      if (!run.rollout) {
+        run.start = estimateLaunchTime(previous, current);
+      } else if (current.distance >= DRAG_ROLLOUT_M) {
+        run.start = interpolateDistanceCrossing(previous, current, DRAG_ROLLOUT_M);
+      }
+      if (!run.start) {
+        if (sample.speed < DRAG_STAGE_SPEED_MS) {
+          endRun("Aborted");
+        }
+        return;
+      }
+    }
+
+    DRAG_SPLITS.forEach(split => {
+      if (run.splits[split.key] !== undefined || current.distance < split.distance) {
+        return;
+      }
+      const crossing = interpolateDistanceCrossing(previous, current, split.distance)
+        || { time: current.time, error: current.time - previous.time };
+      run.splits[split.key] = crossing.time - run.start.time;
+      run.errors[split.key] = crossing.error + run.start.error;
+      if (split.trap) {
+        run.traps[split.key] = interpolateValueAt(previous, current, "speed", crossing.time);
+      }
+    });
+
+    if (run.splits.quarter !== undefined) {
+      const completed = run;
+      endRun("Completed");
+      saveRun(completed);
+    } else if (sample.speed < DRAG_STAGE_SPEED_MS || current.time - run.start.time > DRAG_RUN_TIMEOUT_S) {
+      endRun("Aborted");
+    } else {
+      status = `Running (${(QUARTER_MILE_M - current.distance).toFixed(1)} m left)`;
+    }
+  }
+
+  function saveRun(completed) {
+    const { rollout, splits, errors, traps } = completed;
+    history.add({
+      kind: "drag",
+      event: "quarter",
+      label: "1/4 mile",
+      startedAt: Math.round(completed.start.time * 1000),
+      endedAt: Math.round((completed.start.time + splits.quarter) * 1000),
+      result: splits.quarter,
+      error: errors.quarter,
+      details: { rollout, splits, errors, traps },
+    });
+  }
+
+  function endRun(nextStatus) {
+    phase = "waiting";
+    stoppedSince = null;
+    stage = null;
+    run = null;
+    status = nextStatus;
+  }
+
+  function abort(reason = "Aborted (signal lost)") {
+    if (phase === "running") {
+      endRun(reason);
+    } else if (phase === "staged" || stoppedSince !== null) {
+      endRun("Stop to stage");
+    }
+    return get();
+  }
+
+  function reset() {
+    endRun("Stop to stage");
+    return get();
+  }
+
+  function get() {
+    const runs = history.list({ kind: "drag", validOnly: true })
+      .map(entry => ({ id: entry.id, startedAt: entry.startedAt, ...entry.details }));
+    return {
+      phase,
+      status,
+      run: run && run.start
+        ? {
+          id: run.id,
+          startedAt: run.startedAt,
+          rollout: run.rollout,
+          splits: { ...run.splits },
+          errors: { ...run.errors },
+          traps: { ...run.traps },
+        }
+        : null,
+      runs,
+      bestQuarter: history.best("drag", "quarter")?.result ?? null,
+    };
+  }
+
+  return { update, abort, reset, get };
+}
+
+function createBrakeTest(history) {
+  let phase = "idle";
+  let status = "Waiting for start speed";
+  let previous = null;
+  let test = null;
+
+  function update(sample, options = {}) {
+    if (![sample.time, sample.speed, sample.lat, sample.lon].every(Number.isFinite)) {
+      return get();
+    }
+    const preset = BRAKE_START_SPEEDS[options.preset] ? options.preset : "60-mph";
+    const startSpeed = resolveBrakeStartSpeed(preset);
+    if (previous && !(sample.time - previous.time <= TIMER_MAX_SAMPLE_GAP_S)) {
+      abort();
+    }
+
+    if (phase === "braking") {
+      advance(sample);
+    } else if (phase === "armed" && previous) {
+      const decel = (previous.speed - sample.speed) / (sample.time - previous.time);
+      if (decel >= BRAKE_ONSET_MS2) {
+        phase = "braking";
+        status = "Braking";
+        test = { preset, nominalSpeed: startSpeed, entry: previous, samples: [previous], peakDecel: 0 };
+        advance(sample);
+      } else if (sample.speed < startSpeed) {
+        phase = "idle";
+        status = "Waiting for start speed";
+      }
+    } else if (sample.speed >= startSpeed) {
+      phase = "armed";
+      status = "Armed · brake hard to start";
+    }
+
+    previous = sample;
+    return get();
+  }
+
+  function advance(sample) {
+    const last = test.samples[test.samples.length - 1];
+    const dt = sample.time - last.time;
+    if (!(dt > 0)) {
+      return;
+    }
+    if (sample.speed > last.speed + BRAKE_ABORT_GAIN_MS || sample.time - test.entry.time > BRAKE_TIMEOUT_S) {
+      endTest("Aborted");
+      return;
+    }
+    test.peakDecel = Math.max(test.peakDecel, (last.speed - sample.speed) / dt);
+    test.samples.push(sample);
+    if (sample.speed < BRAKE_STOP_SPEED_MS) {
+      finish();
+    }
+  }
+
+  // The brakes went on somewhere between the last steady fix and the first
+  // slowing one. Assuming speed held until then, and that the deceleration seen
+  // afterwards applied from that moment, places the onset inside that interval.
+  function finish() {
+    const { entry, samples } = test;
+    const onsetSample = samples[1];
+    const last = samples[samples.length - 1];
+    const stopTime = estimateStopTime(samples);
+    const decelAfter = stopTime > onsetSample.time
+      ? onsetSample.speed / (stopTime - onsetSample.time)
+      : (entry.speed - onsetSample.speed) / (onsetSample.time - entry.time);
+    const onsetTime = decelAfter > 0
+      ? Math.min(onsetSample.time, Math.max(entry.time, onsetSample.time - (entry.speed - onsetSample.speed) / decelAfter))
+      : entry.time;
+    // Measured along the fixes themselves rather than the trip odometer, which
+    // deliberately ignores the last few metres of creep into a stop.
+    const travelled = samples.slice(1).reduce((sum, sample, index) => sum + haversineDistance(samples[index], sample), 0);
+    const distance = travelled - entry.speed * (onsetTime - entry.time);
+    const time = stopTime - onsetTime;
+    if (!(time > 0) || !(distance > 0)) {
+      endTest("Aborted");
+      return;
+    }
+
+    const nominalDistance = distance * (test.nominalSpeed / entry.speed) ** 2;
+    const { preset } = test;
+    const details = {
+      nominalSpeed: test.nominalSpeed,
+      entrySpeed: entry.speed,
+      distance,
+      // Stopping distance scales with the square of speed, so a run that
+      // started a little fast or slow is corrected back to the chosen speed.
+      nominalDistance,
+      time,
+      meanDecel: entry.speed / time,
+      peakDecel: test.peakDecel,
+    };
+    endTest("Completed");
+    history.add({
+      kind: "brake",
+      event: `brake-${preset}`,
+      label: formatBrakeLabel(preset),
+      startedAt: Math.round(onsetTime * 1000),
+      endedAt: Math.round((onsetTime + time) * 1000),
+      result: nominalDistance,
+      error: null,
+      details,
+    });
+  }
+
+  function endTest(nextStatus) {
+    phase = "idle";
+    test = null;
+    status = nextStatus;
+  }
+
+  function abort(reason = "Aborted (signal lost)") {
+    previous = null;
+    if (phase === "braking") {
+      endTest(reason);
+    } else if (phase === "armed") {
+      endTest("Waiting for start speed");
+    }
+    return get();
+  }
+
+  function reset() {
+    previous = null;
+    endTest("Waiting for start speed");
+    return get();
+  }
+
+  function get() {
+    const runs = history.list({ kind: "brake", validOnly: true })
+      .map(entry => ({ id: entry.id, startedAt: entry.startedAt, ...entry.details }));
+    return { phase, status, last: runs[0] || null, runs };
+  }
+
+  return { update, abort, reset, get };
+}
+
+// The car reaches zero between the last moving fix and the first stopped one;
+// carrying the last measured deceleration forward finds where inside that gap.
+function estimateStopTime(samples) {
+  const last = samples[samples.length - 1];
+  const moving = samples.filter(sample => sample.speed >= BRAKE_STOP_SPEED_MS).slice(-2);
+  if (moving.length < 2) {
+    return last.time;
+  }
+  const [earlier, later] = moving;
+  const decel = (earlier.speed - later.speed) / (later.time - earlier.time);
+  if (!(decel > 0)) {
+    return last.time;
+  }
+  return Math.min(last.time, Math.max(later.time, later.time + later.speed / decel));
+}
+
+function resolveBrakeStartSpeed(key) {
+  const preset = BRAKE_START_SPEEDS[key] || BRAKE_START_SPEEDS["60-mph"];
+  return speedToMetersPerSecond(preset.value, preset.unit);
+}
+
+function formatBrakeLabel(key) {
+  const preset = BRAKE_START_SPEEDS[key] || BRAKE_START_SPEEDS["60-mph"];
+  return `${preset.value}-0 ${SPEED_UNITS[preset.unit].label}`;
+}
+
+function createSpeedRangeTimers(history) {
+  let state = loadSpeedRangeState();
+  let runs = new Map();
+  let recent = [];
+
+  function update(sample) {
+    if (!Number.isFinite(sample.speed) || !Number.isFinite(sample.time)) {
+      return get();
+    }
+    if (recent.length && !(sample.time - recent[recent.length - 1].time <= TIMER_MAX_SAMPLE_GAP_S)) {
+      abort();
+    }
+    const [before, previous] = recent.length > 1 ? recent : [null, recent[0] || null];
+    state.definitions.forEach(definition => step(definition, sample, previous, before));
+    recent = [previous, sample].filter(Boolean);
+    return get();
+  }
+
+  // Standing starts arm below walking pace; rolling ranges arm once the car is
+  // below the start speed so the clock starts on the way up through it.
+  // Both ends are interpolated between the fixes either side of the crossing.
+  function step(definition, sample, previous, before) {
+    const id = speedRangeId(definition);
+    const run = runs.get(id) || { phase: "idle", start: null };
+    const from = speedToMetersPerSecond(definition.from, definition.unit);
+    const to = speedToMetersPerSecond(definition.to, definition.unit);
+    const threshold = from > 0 ? from : SPEED_RANGE_STANDSTILL_MS;
+
+    if (run.phase === "armed" && sample.speed >= threshold && previous) {
+      run.start = from > 0
+        ? interpolateSpeedCrossing(before, previous, sample, from)
+        : estimateLaunchTime(previous, sample);
+      run.phase = run.start ? "running" : "armed";
+    }
+
+    if (run.phase === "running") {
+      if (sample.speed >= to) {
+        const end = interpolateSpeedCrossing(before, previous, sample, to);
+        if (end) {
+          recordResult(definition, run.start, end);
+        }
+        run.phase = "idle";
+        run.start = null;
+      } else if (sample.speed < threshold) {
+        run.phase = "armed";
+        run.start = null;
+      }
+    } else if (sample.speed < threshold) {
+      run.phase = "armed";
+    }
+    runs.set(id, run);
+  }
+
+  function recordResult(definition, start, end) {
+    const elapsed = end.time - start.time;
+    if (!Number.isFinite(elapsed) || elapsed <= 0) {
+      return;
+    }
+    history.add({
+      kind: "speedRange",
+      event: speedRangeId(definition),
+      label: formatSpeedRangeLabel(definition),
+      startedAt: Math.round(start.time * 1000),
+      endedAt: Math.round(end.time * 1000),
+      result: elapsed,
+      error: end.error + start.error,
+      details: { ...definition },
+    });
+  }
+
+  function add(definition) {
+    const candidate = sanitizeSpeedRangeDefinition(definition);
+    if (!candidate) {
+      throw new Error("Enter a start speed of 0 or more and a higher target speed.");
+    }
+    const id = speedRangeId(candidate);
+    if (state.definitions.some(existing => speedRangeId(existing) === id)) {
+      throw new Error(`A ${formatSpeedRangeLabel(candidate)} timer already exists.`);
+    }
+    state.definitions = [...state.definitions, candidate];
+    persistState("speed_ranges", state);
+    return get();
+  }
+
+  function remove(id) {
+    state.definitions = state.definitions.filter(definition => speedRangeId(definition) !== id);
+    runs.delete(id);
+    persistState("speed_ranges", state);
+    return get();
+  }
+
+  function reset() {
+    runs = new Map();
+    recent = [];
+    return get();
+  }
+
+  function abort() {
+    recent = [];
+    runs.forEach(run => {
+      if (run.phase === "running") {
+        run.phase = "idle";
+        run.start = null;
+      }
+    });
+    return get();
+  }
+
+  function get() {
+    return {
+      timers: state.definitions.map(definition => {
+        const id = speedRangeId(definition);
+        const valid = history.list({ kind: "speedRange", event: id, validOnly: true });
+        const best = history.best("speedRange", id);
+        const phase = runs.get(id)?.phase || "idle";
+        return {
+          id,
+          label: formatSpeedRangeLabel(definition),
+          ...definition,
+          status: { armed: "Armed", running: "Running" }[phase] || "Standby",
+          lastTime: valid[0]?.result ?? null,
+          lastError: valid[0]?.error ?? null,
+          bestTime: best?.result ?? null,
+          bestError: best?.error ?? null,
+          history: valid.slice(0, SPEED_RANGE_HISTORY_LENGTH).map(entry => ({ time: entry.result, error: entry.error, at: entry.startedAt })),
+        };
+      }),
+    };
+  }
+
+  return { update, add, remove, reset, abort, get };
+}
+
+function loadSpeedRangeState() {
+  const stored = loadState("speed_ranges", { definitions: null });
+  const definitions = Array.isArray(stored.definitions)
+    ? stored.definitions.map(sanitizeSpeedRangeDefinition).filter(Boolean)
+    : SPEED_RANGE_DEFAULTS.map(definition => ({ ...definition }));
+  return { definitions };
+}
+
+function sanitizeSpeedRangeDefinition(definition) {
+  const from = Number(definition?.from);
+  const to = Number(definition?.to);
+  const unit = definition?.unit;
+  if (!SPEED_UNITS[unit] || !Number.isFinite(from) || !Number.isFinite(to) || from < 0 || to <= from) {
+    return null;
+  }
+  return { from, to, unit };
+}
+
+function speedRangeId(definition) {
+  return `${definition.from}-${definition.to}-${definition.unit}`;
+}
+
+function formatSpeedRangeLabel(definition) {
+  return `${definition.from}-${definition.to} ${SPEED_UNITS[definition.unit].label}`;
+}
+
+function speedToMetersPerSecond(value, unit) {
+  return value / SPEED_UNITS[unit].fromBase(1);
+}
+
+// Crossing helpers for the performance timers. Samples are { time, speed, distance }
+// with time in seconds; each returns { time, error } where error bounds the
+// interpolation in seconds under the stated model (GPS measurement noise is not
+// included), or null when the two samples do not bracket the threshold.
+function interpolateLinearCrossing(a, b, key, threshold) {
+  const span = b[key] - a[key];
+  if (!(b.time > a.time) || span === 0) {
+    return null;
+  }
+  const fraction = (threshold - a[key]) / span;
+  if (fraction < 0 || fraction > 1) {
+    return null;
+  }
+  return a.time + fraction * (b.time - a.time);
+}
+
+function interpolateValueAt(a, b, key, time) {
+  if (!(b.time > a.time)) {
+    return b[key];
+  }
+  const fraction = Math.min(1, Math.max(0, (time - a.time) / (b.time - a.time)));
+  return a[key] + (b[key] - a[key]) * fraction;
+}
+
+// Distance is fitted with a cubic Hermite segment that uses each fix's speed as
+// its slope. The error assumes speed stays between the two fixes' speeds; without
+// them the crossing can only be placed somewhere between the fixes.
+function interpolateDistanceCrossing(a, b, threshold) {
+  const linear = interpolateLinearCrossing(a, b, "distance", threshold);
+  if (linear === null) {
+    return null;
+  }
+  if (!Number.isFinite(a.speed) || !Number.isFinite(b.speed)) {
+    return { time: linear, error: boundCrossingError(a, b, "distance", threshold, [-Infinity, Infinity], linear) };
+  }
+  const time = bisectCrossing(at => interpolateDistanceAt(a, b, at), threshold, a.time, b.time);
+  return { time, error: boundCrossingError(a, b, "distance", threshold, [a.speed, b.speed], time) };
+}
+
+function interpolateDistanceAt(a, b, time) {
+  const dt = b.time - a.time;
+  if (!(dt > 0) || !Number.isFinite(a.speed) || !Number.isFinite(b.speed)) {
+    return interpolateValueAt(a, b, "distance", time);
+  }
+  const f = (time - a.time) / dt;
+  const f2 = f * f;
+  const f3 = f2 * f;
+  return (2 * f3 - 3 * f2 + 1) * a.distance
+    + (f3 - 2 * f2 + f) * a.speed * dt
+    + (-2 * f3 + 3 * f2) * b.distance
+    + (f3 - f2) * b.speed * dt;
+}
+
+// Speed is fitted with a quadratic through the previous three fixes when an
+// earlier one is available. Under constant jerk the acceleration inside the
+// interval differs from its mean by no more than the change from the previous
+// interval's mean, which bounds the error; without an earlier fix the crossing
+// can only be placed somewhere between the fixes.
+function interpolateSpeedCrossing(before, a, b, threshold) {
+  const linear = interpolateLinearCrossing(a, b, "speed", threshold);
+  if (linear === null) {
+    return null;
+  }
+  if (!before || !(a.time > before.time) || !Number.isFinite(before.speed)) {
+    return { time: linear, error: boundCrossingError(a, b, "speed", threshold, [-Infinity, Infinity], linear) };
+  }
+  const speedAt = time => {
+    const l0 = ((time - a.time) * (time - b.time)) / ((before.time - a.time) * (before.time - b.time));
+    const l1 = ((time - before.time) * (time - b.time)) / ((a.time - before.time) * (a.time - b.time));
+    const l2 = ((time - before.time) * (time - a.time)) / ((b.time - before.time) * (b.time - a.time));
+    return before.speed * l0 + a.speed * l1 + b.speed * l2;
+  };
+  const time = bisectCrossing(speedAt, threshold, a.time, b.time);
+  const accel = (b.speed - a.speed) / (b.time - a.time);
+  const change = Math.abs(accel - (a.speed - before.speed) / (a.time - before.time));
+  return { time, error: boundCrossingError(a, b, "speed", threshold, [accel - change, accel + change], time) };
+}
+
+// Launch from rest under constant acceleration covers the distance in twice the
+// time it would take at the final speed. Speed never exceeds the moving fix's
+// speed on the way there, so the launch is no later than the distance covered at
+// that speed allows and no earlier than the stopped fix.
+function estimateLaunchTime(stopped, moving) {
+  const dt = moving.time - stopped.time;
+  if (!(dt > 0)) {
+    return null;
+  }
+  const travelled = moving.distance - stopped.distance;
+  if (!(moving.speed > 0) || !(travelled > 0)) {
+    return { time: stopped.time, error: dt };
+  }
+  const clamp = time => Math.min(moving.time, Math.max(stopped.time, time));
+  const time = clamp(moving.time - (2 * travelled) / moving.speed);
+  const latest = clamp(moving.time - travelled / moving.speed);
+  return { time, error: Math.max(time - stopped.time, latest - time) };
+}
+
+// Widest gap between the estimate and any crossing time the two samples allow
+// when the value's rate of change stays within [slopes[0], slopes[1]].
+function boundCrossingError(a, b, key, threshold, slopes, estimate) {
+  const sign = b[key] >= a[key] ? 1 : -1;
+  const ahead = sign * (threshold - a[key]);
+  const behind = sign * (b[key] - threshold);
+  const slowest = Math.min(sign * slopes[0], sign * slopes[1]);
+  const fastest = Math.max(sign * slopes[0], sign * slopes[1]);
+  const clamp = time => Math.min(b.time, Math.max(a.time, time));
+  const earliest = clamp(Math.max(a.time + timeToCover(ahead, fastest), b.time - timeToCover(behind, slowest)));
+  const latest = clamp(Math.min(a.time + timeToCover(ahead, slowest), b.time - timeToCover(behind, fastest)));
+  return Math.max(estimate - earliest, latest - estimate, 0);
+}
+
+function timeToCover(gap, rate) {
+  if (!(gap > 0)) {
+    return 0;
+  }
+  return rate > 0 ? gap / rate : Infinity;
+}
+
+function bisectCrossing(valueAt, threshold, low, high) {
+  const rising = valueAt(high) >= valueAt(low);
+  let lower = low;
+  let upper = high;
+  for (let i = 0; i < 40; i += 1) {
+    const mid = (lower + upper) / 2;
+    if ((valueAt(mid) < threshold) === rising) {
+      lower = mid;
+    } else {
+      upper = mid;
+    }
+  }
+  return (lower + upper) / 2;
+}
+
+function createLapTimer(history) {
+  let layout = loadLapLayout();
+  let phase = "waiting";
+  let status = "";
+  let previous = null;
+  let travelHeading = null;
+  let lap = null;
+  let lapNumber = 0;
+  resetStatus();
+
+  function update(sample) {
+    if (![sample.time, sample.lat, sample.lon].every(Number.isFinite)) {
+      return get();
+    }
+    const last = previous;
+    previous = sample;
+    if (!last) {
+      return get();
+    }
+    if (haversineDistance(last, sample) >= LAP_HEADING_MIN_MOVE_M) {
+      travelHeading = computeBearing(last, sample);
+    }
+    if (sample.time < last.time || sample.time - last.time > TIMER_MAX_SAMPLE_GAP_S) {
+      if (phase === "running") {
+        endLap("Aborted (signal lost)");
+      }
+      return get();
+    }
+    if (!layout.start || (layout.mode === "sprint" && !layout.finish)) {
+      return get();
+    }
+
+    if (phase !== "running") {
+      const start = findLineCrossing(layout.start, last, sample);
+      if (start) {
+        startLap(start, last, sample);
+        recordTrace(lap, sample.time, sample.distance, sample);
+        compareWithReference(sample);
+      }
+      return get();
+    }
+
+    const sectorLine = layout.sectors[lap.splits.length];
+    const split = sectorLine ? findLineCrossing(sectorLine, last, sample) : null;
+    if (split) {
+      lap.splits.push(split.time - lap.start.time);
+      lap.errors.push(split.error + lap.start.error);
+    }
+    const finishLine = layout.mode === "sprint" ? layout.finish : layout.start;
+    const finish = finishLine ? findLineCrossing(finishLine, last, sample) : null;
+    // A minimum lap time keeps GPS jitter around the line from closing a lap twice.
+    if (finish && finish.time - lap.start.time >= LAP_MIN_TIME_S) {
+      const completed = lap;
+      recordTrace(completed, finish.time, interpolateDistanceAt(last, sample, finish.time), interpolatePosition(last, sample, finish.time));
+      endLap(layout.mode === "sprint" ? "Finished" : "Lap complete");
+      saveLap(completed, finish);
+      if (layout.mode === "circuit") {
+        startLap(finish, last, sample);
+        recordTrace(lap, sample.time, sample.distance, sample);
+      }
+    } else {
+      recordTrace(lap, sample.time, sample.distance, sample);
+    }
+    compareWithReference(sample);
+    return get();
+  }
+
+  // The best lap so far is fixed as the reference when a lap starts.
+  function startLap(crossing, last, sample) {
+    const position = interpolatePosition(last, sample, crossing.time);
+    phase = "running";
+    lapNumber += 1;
+    lap = {
+      start: crossing,
+      startDistance: interpolateDistanceAt(last, sample, crossing.time),
+      splits: [],
+      errors: [],
+      trace: [[0, 0, roundCoordinate(position.lat), roundCoordinate(position.lon)]],
+      reference: findReferenceLap(lapEventId(layout)),
+      referenceIndex: 0,
+      delta: null,
+    };
+    status = layout.mode === "sprint" ? "Running" : `Lap ${lapNumber}`;
+  }
+
+  // Each trace point holds elapsed time, distance along the lap and position,
+  // so later laps can be projected onto it at the same point on track.
+  function recordTrace(target, time, distance, position) {
+    if (!Number.isFinite(distance)) {
+      return;
+    }
+    target.trace.push([
+      Math.round((time - target.start.time) * 1000) / 1000,
+      Math.round((distance - target.startDistance) * 100) / 100,
+      roundCoordinate(position.lat),
+      roundCoordinate(position.lon),
+    ]);
+  }
+
+  function compareWithReference(sample) {
+    if (!lap?.reference) {
+      return;
+    }
+    const match = projectOntoTrace(lap.reference.details.trace, sample, lap.referenceIndex);
+    lap.delta = match ? sample.time - lap.start.time - match.time : null;
+    lap.referenceIndex = match ? match.index : lap.referenceIndex;
+  }
+
+  function saveLap(completed, finish) {
+    history.add({
+      kind: "lap",
+      event: lapEventId(layout),
+      label: layout.name,
+      startedAt: Math.round(completed.start.time * 1000),
+      endedAt: Math.round(finish.time * 1000),
+      result: finish.time - completed.start.time,
+      error: finish.error + completed.start.error,
+      details: { mode: layout.mode, splits: completed.splits, errors: completed.errors, trace: completed.trace },
+    });
+  }
+
+  function endLap(nextStatus) {
+    phase = "waiting";
+    lap = null;
+    status = nextStatus;
+  }
+
+  function resetStatus() {
+    phase = "waiting";
+    lap = null;
+    if (!layout.start) {
+      status = "Set a start line";
+    } else if (layout.mode === "sprint" && !layout.finish) {
+      status = "Set a finish line";
+    } else {
+      status = "Cross the start line";
+    }
+  }
+
+  function lineHere() {
+    if (!previous) {
+      throw new Error("Waiting for a GPS fix before a line can be placed.");
+    }
+    const heading = Number.isFinite(previous.heading) ? previous.heading : travelHeading;
+    if (!Number.isFinite(heading)) {
+      throw new Error("The direction of travel is not known yet. Drive forward a few metres and try again.");
+    }
+    return { lat: previous.lat, lon: previous.lon, heading };
+  }
+
+  function setLine(kind, line) {
+    const sanitized = sanitizeLapLine(line);
+    if (!sanitized) {
+      throw new Error("Enter a latitude, longitude and direction of travel between 0 and 360°.");
+    }
+    if (kind === "sector") {
+      layout = { ...layout, sectors: [...layout.sectors, sanitized] };
+    } else if (kind === "drag") {
+      layout = { ...layout, dragStart: sanitized };
+    } else if (kind === "finish") {
+      if (layout.mode !== "sprint") {
+        throw new Error("Circuits finish on the start line. Switch to point-to-point to set a separate finish.");
+      }
+      layout = { ...layout, id: createRunId(), finish: sanitized };
+    } else {
+      layout = { ...layout, id: createRunId(), name: formatLapLayoutName(layout.mode), start: sanitized };
+    }
+    return saveLayout();
+  }
+
+  function removeLine(kind, index) {
+    if (kind === "drag") {
+      layout = { ...layout, dragStart: null };
+    } else {
+      layout = { ...layout, sectors: layout.sectors.filter((_, position) => position !== index) };
+    }
+    return saveLayout();
+  }
+
+  // Loading a saved track keeps its id, so laps from every visit share one leaderboard event.
+  function useLayout(track) {
+    layout = sanitizeTrackLayout(track);
+    return saveLayout();
+  }
+
+  function getLayout() {
+    return { ...layout, sectors: [...layout.sectors] };
+  }
+
+  function setMode(mode) {
+    if (!LAP_MODES[mode] || mode === layout.mode) {
+      return get();
+    }
+    layout = { ...layout, id: createRunId(), name: formatLapLayoutName(mode), mode, finish: null };
+    return saveLayout();
+  }
+
+  function clear() {
+    layout = { ...createEmptyLapLayout(), mode: layout.mode };
+    return saveLayout();
+  }
+
+  // Changing the lines invalidates any lap in progress.
+  function saveLayout() {
+    persistState("lap_layout", layout);
+    resetStatus();
+    return get();
+  }
+
+  function abort(reason = "Aborted (signal lost)") {
+    if (phase === "running") {
+      endLap(reason);
+    }
+    previous = null;
+    return get();
+  }
+
+  function reset() {
+    previous = null;
+    lapNumber = 0;
+    resetStatus();
+    return get();
+  }
+
+  function get() {
+    const event = layout.start ? lapEventId(layout) : null;
+    const laps = event ? history.list({ kind: "lap", event, validOnly: true }).map(describeLap) : [];
+    const best = event ? history.best("lap", event) : null;
+    const sectorCount = layout.sectors.length ? layout.sectors.length + 1 : 0;
+    const bestSectors = Array.from({ length: sectorCount }, (_, index) => {
+      const times = laps.map(entry => entry.sectors[index]).filter(Number.isFinite);
+      return times.length ? Math.min(...times) : null;
+    });
+    const delta = lap?.reference && Number.isFinite(lap.delta) ? lap.delta : null;
+    return {
+      phase,
+      status,
+      layout: getLayout(),
+      lapNumber,
+      current: lap && previous
+        ? {
+          elapsed: Math.max(0, previous.time - lap.start.time),
+          sectors: describeSectorTimes(lap.splits, null, layout.sectors.length),
+          delta,
+          predicted: delta === null ? null : lap.reference.result + delta,
+        }
+        : null,
+      last: laps[0] || null,
+      best: best ? describeLap(best) : null,
+      laps: laps.slice(0, LAP_LIST_LENGTH),
+      lapCount: laps.length,
+      sectorCount,
+      bestSectors,
+    };
+  }
+
+  // Only laps recorded with a positioned trace can be used for the running delta.
+  function findReferenceLap(event) {
+    return history.list({ kind: "lap", event, validOnly: true })
+      .filter(entry => Array.isArray(entry.details?.trace) && entry.details.trace.length > 1 && entry.details.trace[0].length >= 4)
+      .reduce((winner, entry) => (!winner || entry.result < winner.result ? entry : winner), null);
+  }
+
+  function describeLap(entry) {
+    return {
+      id: entry.id,
+      startedAt: entry.startedAt,
+      time: entry.result,
+      error: entry.error,
+      sectors: describeSectorTimes(entry.details?.splits || [], entry.result, layout.sectors.length),
+    };
+  }
+
+  return { update, abort, reset, get, getLayout, lineHere, setLine, removeLine, useLayout, setMode, clear };
+}
+
+function loadLapLayout() {
+  return sanitizeTrackLayout(loadState("lap_layout", createEmptyLapLayout()));
+}
+
+function sanitizeTrackLayout(stored) {
+  const mode = LAP_MODES[stored.mode] ? stored.mode : "circuit";
+  const name = typeof stored.name === "string" ? stored.name.trim() : "";
+  return {
+    id: typeof stored.id === "string" && stored.id ? stored.id : createRunId(),
+    name: name || formatLapLayoutName(mode),
+    mode,
+    start: sanitizeLapLine(stored.start),
+    finish: mode === "sprint" ? sanitizeLapLine(stored.finish) : null,
+    sectors: Array.isArray(stored.sectors) ? stored.sectors.map(sanitizeLapLine).filter(Boolean) : [],
+    dragStart: sanitizeLapLine(stored.dragStart),
+  };
+}
+
+function createEmptyLapLayout() {
+  return {
+    id: createRunId(),
+    name: formatLapLayoutName("circuit"),
+    mode: "circuit",
+    start: null,
+    finish: null,
+    sectors: [],
+    dragStart: null,
+  };
+}
+
+function createTrackLibrary(hooks = {}) {
+  let tracks = [];
+  let detectedId = null;
+  let pendingId = null;
+
+  async function load() {
+    try {
+      tracks = sortTracks(await loadTrackRecords());
+    } catch (err) {
+      console.warn("Unable to load tracks", err);
+    }
+    notify();
+  }
+
+  async function save(track) {
+    const record = sanitizeTrack(track);
+    if (!record) {
+      throw new Error("Place a start line or drag start before saving a track.");
+    }
+    const existing = find(record.id);
+    const saved = { ...record, createdAt: existing?.createdAt ?? record.createdAt ?? Date.now(), updatedAt: Date.now() };
+    await saveTrackRecord(saved);
+    tracks = sortTracks([saved, ...tracks.filter(entry => entry.id !== saved.id)]);
+    notify();
+    return saved;
+  }
+
+  async function remove(id) {
+    await deleteTrackRecord(id);
+    tracks = tracks.filter(entry => entry.id !== id);
+    if (detectedId === id) {
+      detectedId = null;
+    }
+    if (pendingId === id) {
+      pendingId = null;
+    }
+    notify();
+  }
+
+  function find(id) {
+    return tracks.find(entry => entry.id === id) || null;
+  }
+
+  function list() {
+    return [...tracks];
+  }
+
+  // Returns the detected track until the caller dismisses it, so it can wait
+  // for a lap to finish. A track only takes over from the detected one once it
+  // is clearly closer, and picking another track by hand is not undone on the
+  // next fix.
+  function detect(position) {
+    if (![position.lat, position.lon].every(Number.isFinite)) {
+      return pending();
+    }
+    const distanceTo = entry => haversineDistance(position, entry.start || entry.dragStart);
+    let nearest = null;
+    let nearestDistance = Infinity;
+    tracks.forEach(entry => {
+      const distance = distanceTo(entry);
+      if (distance < nearestDistance) {
+        nearest = entry;
+        nearestDistance = distance;
+      }
+    });
+    const current = find(detectedId);
+    const currentDistance = current ? distanceTo(current) : Infinity;
+    let next = current && currentDistance <= TRACK_DETECT_RADIUS_M + TRACK_DETECT_HYSTERESIS_M ? current : null;
+    if (nearest && nearestDistance <= TRACK_DETECT_RADIUS_M
+      && (!next || nearestDistance + TRACK_DETECT_HYSTERESIS_M < currentDistance)) {
+      next = nearest;
+    }
+    const nextId = next ? next.id : null;
+    if (nextId !== detectedId) {
+      detectedId = nextId;
+      pendingId = nextId;
+      notify();
+    }
+    return pending();
+  }
+
+  function pending() {
+    return find(pendingId);
+  }
+
+  function dismiss() {
+    pendingId = null;
+  }
+
+  function isDetected(id) {
+    return detectedId === id;
+  }
+
+  // True when switching away from the layout loses nothing: it has no lines,
+  // or its lines match the saved track it came from.
+  function isSaved(layout) {
+    if (!layout.start && !layout.dragStart) {
+      return true;
+    }
+    const saved = find(layout.id);
+    return Boolean(saved) && TRACK_LINE_FIELDS.every(field => JSON.stringify(saved[field] ?? null) === JSON.stringify(layout[field] ?? null));
+  }
+
+  async function importTracks(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      throw new Error("The file is not valid JSON.");
+    }
+    const candidates = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.tracks) ? parsed.tracks : [parsed];
+    const records = candidates.map(sanitizeTrack).filter(Boolean);
+    if (!records.length) {
+      throw new Error("No tracks were found in the file.");
+    }
+    for (const record of records) {
+      await save(record);
+    }
+    return records.length;
+  }
+
+  function exportTracks(ids = null) {
+    const selected = ids ? tracks.filter(entry => ids.includes(entry.id)) : tracks;
+    return JSON.stringify({ format: TRACK_EXPORT_FORMAT, version: 1, exportedAt: new Date().toISOString(), tracks: selected }, null, 2);
+  }
+
+  function notify() {
+    hooks.onChange?.();
+  }
+
+  return { load, save, remove, find, list, detect, pending, dismiss, isDetected, isSaved, importTracks, exportTracks };
+}
+
+function sanitizeTrack(record) {
+  if (!record || typeof record !== "object") {
+    return null;
+  }
+  const layout = sanitizeTrackLayout(record);
+  if (!layout.start && !layout.dragStart) {
+    return null;
+  }
+  return {
+    ...layout,
+    createdAt: Number.isFinite(record.createdAt) ? record.createdAt : null,
+    updatedAt: Number.isFinite(record.updatedAt) ? record.updatedAt : null,
+  };
+}
+
+function sortTracks(tracks) {
+  return [...tracks].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function sanitizeLapLine(line) {
+  if (!line) {
+    return null;
+  }
+  const lat = Number(line.lat);
+  const lon = Number(line.lon);
+  const heading = Number(line.heading);
+  const width = Number.isFinite(Number(line.width)) && Number(line.width) > 0 ? Number(line.width) : LAP_LINE_WIDTH_M;
+  if (!Number.isFinite(lat) || Math.abs(lat) > 90 || !Number.isFinite(lon) || Math.abs(lon) > 180
+    || !Number.isFinite(heading) || heading < 0 || heading > 360) {
+    return null;
+  }
+  return { lat, lon, heading: heading % 360, width };
+}
+
+function lapEventId(layout) {
+  return `lap-${layout.id}`;
+}
+
+function formatLapLayoutName(mode) {
+  return `${LAP_MODES[mode]} · ${new Date().toLocaleDateString()}`;
+}
+
+// Splits are measured from the start of the lap; each sector is the gap
+// between neighbouring splits, and the last one closes at the finish.
+function describeSectorTimes(splits, total, lineCount) {
+  if (!lineCount) {
+    return [];
+  }
+  const marks = splits.length === lineCount && Number.isFinite(total) ? [...splits, total] : splits;
+  return marks.map((mark, index) => mark - (index ? marks[index - 1] : 0));
+}
+
+// A timing line is a short segment across the track, at right angles to the
+// direction of travel. The path between two fixes is intersected with it, and
+// only crossings made heading the same way count.
+function findLineCrossing(line, a, b) {
+  const from = projectToLocalPlane(line, a.lat, a.lon);
+  const to = projectToLocalPlane(line, b.lat, b.lon);
+  const radians = toRadians(line.heading);
+  const forward = { east: Math.sin(radians), north: Math.cos(radians) };
+  const path = { east: to.east - from.east, north: to.north - from.north };
+  if (path.east * forward.east + path.north * forward.north <= 0) {
+    return null;
+  }
+  const halfWidth = (line.width || LAP_LINE_WIDTH_M) / 2;
+  const edgeStart = { east: -forward.north * halfWidth, north: forward.east * halfWidth };
+  const edge = { east: 2 * forward.north * halfWidth, north: -2 * forward.east * halfWidth };
+  const cross = (u, v) => u.east * v.north - u.north * v.east;
+  const denominator = cross(path, edge);
+  if (denominator === 0) {
+    return null;
+  }
+  const offset = { east: edgeStart.east - from.east, north: edgeStart.north - from.north };
+  const fraction = cross(offset, edge) / denominator;
+  const along = cross(offset, path) / denominator;
+  if (fraction <= 0 || fraction > 1 || along < 0 || along > 1) {
+    return null;
+  }
+  const chord = Math.hypot(path.east, path.north);
+  return interpolateDistanceCrossing(
+    { time: a.time, distance: 0, speed: a.speed },
+    { time: b.time, distance: chord, speed: b.speed },
+    fraction * chord
+  );
+}
+
+// Finds the point on a reference lap's trace closest to the current position and
+// returns when the reference lap passed it. The search starts at the previous
+// match and only looks a short way ahead, so a track that runs alongside itself
+// is not mistaken for a later part of the lap; if nothing is close there, the
+// rest of the lap is searched. Returns null when the position is off the trace.
+function projectOntoTrace(trace, position, fromIndex = 0) {
+  const first = Math.max(0, Math.min(fromIndex, trace.length - 2));
+  const windowEnd = trace[first][1] + LAP_DELTA_SEARCH_M;
+  const nearby = findClosestTraceSegment(trace, position, first, index => trace[index][1] <= windowEnd);
+  return nearby || findClosestTraceSegment(trace, position, first, () => true);
+}
+
+function findClosestTraceSegment(trace, position, first, withinSearch) {
+  let best = null;
+  for (let index = first; index < trace.length - 1 && withinSearch(index); index += 1) {
+    const [time, , lat, lon] = trace[index];
+    const [nextTime, , nextLat, nextLon] = trace[index + 1];
+    const a = projectToLocalPlane(position, lat, lon);
+    const b = projectToLocalPlane(position, nextLat, nextLon);
+    const segment = { east: b.east - a.east, north: b.north - a.north };
+    const lengthSquared = segment.east ** 2 + segment.north ** 2;
+    const fraction = lengthSquared > 0
+      ? Math.min(1, Math.max(0, -(a.east * segment.east + a.north * segment.north) / lengthSquared))
+      : 0;
+    const offset = Math.hypot(a.east + fraction * segment.east, a.north + fraction * segment.north);
+    if (offset <= LAP_DELTA_MAX_OFFSET_M && (!best || offset < best.offset)) {
+      best = { index, offset, time: time + fraction * (nextTime - time) };
+    }
+  }
+  return best;
+}
+
+function interpolatePosition(a, b, time) {
+  return { lat: interpolateValueAt(a, b, "lat", time), lon: interpolateValueAt(a, b, "lon", time) };
+}
+
+function roundCoordinate(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function computeBearing(from, to) {
+  const lat1 = toRadians(from.lat);
+  const lat2 = toRadians(to.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+function createRunHistory(hooks = {}) {
+  let runs = [];
+  let buffer = [];
+
+  // Recent fixes are kept so a finished run can be stored with its raw samples.
+  function record(sample) {
+    buffer.push(sample);
+    const cutoff = sample.time - RUN_BUFFER_S * 1000;
+    while (buffer.length && buffer[0].time < cutoff) {
+      buffer.shift();
+    }
+  }
+
+  function clearBuffer() {
+    buffer = [];
+  }
+
+  function add(entry) {
+    const samples = buffer.filter(sample =>
+      sample.time >= entry.startedAt - RUN_SAMPLE_PADDING_MS && sample.time <= entry.endedAt + RUN_SAMPLE_PADDING_MS
+    );
+    const run = {
+      id: createRunId(),
+      ...entry,
+      profile: vehicleStore.getActiveId(),
+      conditions: describeRunConditions(samples.filter(sample => sample.time >= entry.startedAt && sample.time <= entry.endedAt)),
+      sampleCount: samples.length,
+      starred: false,
+      valid: true,
+    };
+    runs = [run, ...runs];
+    (samples.length ? saveRunWithSamples(run, samples) : saveRunRecord(run))
+      .catch(err => console.warn("Unable to save run", err));
+    notify();
+    return run;
+  }
+
+  function update(id, patch) {
+    const index = runs.findIndex(run => run.id === id);
+    if (index === -1) {
+      return null;
+    }
+    const updated = { ...runs[index], ...patch };
+    runs = [...runs.slice(0, index), updated, ...runs.slice(index + 1)];
+    saveRunRecord(updated).catch(err => console.warn("Unable to update run", err));
+    notify();
+    return updated;
+  }
+
+  function remove(id) {
+    runs = runs.filter(run => run.id !== id);
+    deleteRunRecord(id).catch(err => console.warn("Unable to delete run", err));
+    notify();
+  }
+
+  function find(id) {
+    return runs.find(run => run.id === id) || null;
+  }
+
+  // Lists cover the active vehicle unless `allVehicles` or a `vehicle` id is given.
+  function list(filter = {}) {
+    const vehicle = filter.allVehicles ? null : filter.vehicle ?? vehicleStore.getActiveId();
+    return runs.filter(run =>
+      (!vehicle || (run.profile ?? DEFAULT_VEHICLE_PROFILE) === vehicle) &&
+      (!filter.kind || run.kind === filter.kind) &&
+      (!filter.event || run.event === filter.event) &&
+      (!filter.validOnly || run.valid)
+    );
+  }
+
+  function best(kind, event, filter = {}) {
+    return list({ ...filter, kind, event, validOnly: true })
+      .filter(run => Number.isFinite(run.result))
+      .reduce((winner, run) => (!winner || run.result < winner.result ? run : winner), null);
+  }
+
+  function events(filter = {}) {
+    const seen = new Map();
+    list(filter).forEach(run => {
+      const key = `${run.kind}:${run.event}`;
+      if (!seen.has(key)) {
+        seen.set(key, { key, kind: run.kind, event: run.event, label: `${RUN_KIND_LABELS[run.kind] || run.kind} · ${run.label}` });
+      }
+    });
+    return [...seen.values()].sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  async function load() {
+    try {
+      const stored = await loadRunRecords();
+      const known = new Set(stored.map(run => run.id));
+      runs = [...runs.filter(run => !known.has(run.id)), ...stored];
+      await importLegacyRuns();
+    } catch (err) {
+      console.warn("Unable to load runs", err);
+    }
+    runs.sort((a, b) => (b.startedAt ?? 0) - (a.startedAt ?? 0));
+    notify();
+  }
+
+  // The 0-60 and quarter-mile trackers of earlier versions kept only their
+  // best and last times in localStorage, without samples or dates. All runs
+  // are written at once and their ids come from the stored times, so an
+  // import that fails part way is simply repeated on the next load.
+  async function importLegacyRuns() {
+    const imported = collectLegacyRuns().map(entry => ({
+      ...entry,
+      profile: DEFAULT_VEHICLE_PROFILE,
+      conditions: describeRunConditions([]),
+      sampleCount: 0,
+      starred: false,
+      valid: true,
+    }));
+    if (!imported.length) {
+      return;
+    }
+    await saveRunRecords(imported);
+    const ids = new Set(imported.map(run => run.id));
+    runs = [...runs.filter(run => !ids.has(run.id)), ...imported];
+    ["zero_sixty", "quartermile"].forEach(clearState);
+  }
+
+  function notify() {
+    Promise.resolve().then(() => hooks.onChange?.());
+  }
+
+  return { record, clearBuffer, add, update, remove, find, list, best, events, load };
+}
+
+function collectLegacyRuns() {
+  const legacy = [
+    {
+      key: "zero_sixty",
+      kind: "speedRange",
+      event: "0-60-mph",
+      label: formatSpeedRangeLabel({ from: 0, to: 60, unit: "mph" }),
+      details: () => ({ from: 0, to: 60, unit: "mph" }),
+    },
+    {
+      key: "quartermile",
+      kind: "drag",
+      event: "quarter",
+      label: "1/4 mile",
+      details: time => ({ rollout: false, splits: { quarter: time }, errors: {}, traps: {} }),
+    },
+  ];
+  return legacy.flatMap(({ key, details, ...entry }) => {
+    const stored = loadState(key, { bestTime: null, lastTime: null });
+    const times = [...new Set([stored.lastTime, stored.bestTime])].filter(time => Number.isFinite(time) && time > 0);
+    return times.map(time => ({
+      id: `legacy-${key}-${time}`,
+      ...entry,
+      startedAt: null,
+      endedAt: null,
+      result: time,
+      error: null,
+      details: details(time),
+    }));
+  });
+}
+
+function describeRunConditions(samples) {
+  const accuracies = samples.map(sample => sample.accuracy).filter(Number.isFinite);
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const span = samples.length > 1 ? (last.time - first.time) / 1000 : 0;
+  const travelled = samples.length > 1 ? last.distance - first.distance : 0;
+  const hasAltitude = samples.length > 1 && Number.isFinite(first.altitude) && Number.isFinite(last.altitude);
+  return {
+    accuracy: accuracies.length ? accuracies.reduce((sum, value) => sum + value, 0) / accuracies.length : null,
+    rateHz: span > 0 ? (samples.length - 1) / span : null,
+    slope: hasAltitude && travelled > GRADE_MIN_RUN_M ? ((last.altitude - first.altitude) / travelled) * 100 : null,
+  };
+}
+
+function createRunId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function refreshRunViews() {
+  pushTelemetry({
+    ...renderDragStrip(dragStrip.get()),
+    ...renderBrakeTest(brakeTest.get()),
+    ...renderSpeedRanges(speedRangeTimers.get()),
+    ...renderLapTimer(lapTimer.get()),
+  });
+  renderLeaderboard();
+}
+
+function renderLeaderboard() {
+  const listElement = elements.leaderboardList;
+  if (!listElement) {
+    return;
+  }
+  const scope = leaderboardView.vehicles === "all" ? { allVehicles: true } : {};
+  const events = runHistory.events(scope);
+  if (!events.some(entry => entry.key === leaderboardView.event)) {
+    leaderboardView.event = events[0]?.key || "";
+  }
+  if (elements.leaderboardEvent) {
+    elements.leaderboardEvent.innerHTML = "";
+    events.forEach(entry => {
+      const option = document.createElement("option");
+      option.value = entry.key;
+      option.textContent = entry.label;
+      elements.leaderboardEvent.appendChild(option);
+    });
+    elements.leaderboardEvent.value = leaderboardView.event;
+    elements.leaderboardEvent.disabled = !events.length;
+  }
+
+  listElement.innerHTML = "";
+  const selected = events.find(entry => entry.key === leaderboardView.event);
+  renderLeaderboardComparison(selected);
+  if (!selected) {
+    const empty = document.createElement("li");
+    empty.textContent = "No runs recorded yet.";
+    listElement.appendChild(empty);
+    return;
+  }
+  const best = runHistory.best(selected.kind, selected.event, scope);
+  const runs = sortLeaderboardRuns(
+    runHistory.list({ ...scope, kind: selected.kind, event: selected.event, validOnly: !leaderboardView.showInvalid }),
+    leaderboardView.sort
+  );
+  runs.forEach(run => {
+    const li = document.createElement("li");
+    li.className = "leaderboard__item";
+    li.classList.toggle("leaderboard__item--invalid", !run.valid);
+    li.classList.toggle("leaderboard__item--best", run.id === best?.id);
+
+    const result = document.createElement("strong");
+    result.className = "leaderboard__result";
+    result.textContent = run.kind === "brake" ? formatShortDistance(run.result) : formatTimerResult(run.result, run.error);
+    const meta = document.createElement("span");
+    meta.className = "leaderboard__meta";
+    meta.textContent = [
+      scope.allVehicles ? formatVehicleName(run.profile) : null,
+      formatRunDate(run.startedAt, "medium"),
+      ...describeConditionsText(run.conditions),
+      run.id === best?.id ? "Best" : null,
+      run.valid ? null : "Invalid",
+    ].filter(Boolean).join(" · ");
+
+    const actions = document.createElement("div");
+    actions.className = "leaderboard__actions";
+    [
+      ["star", run.starred ? "★ Starred" : "☆ Star"],
+      ["valid", run.valid ? "Mark invalid" : "Mark valid"],
+      ["export", "CSV"],
+      ["delete", "Delete"],
+    ].forEach(([action, label]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.runId = run.id;
+      button.dataset.runAction = action;
+      button.textContent = label;
+      button.disabled = action === "export" && !run.sampleCount;
+      actions.appendChild(button);
+    });
+
+    li.append(result, meta, actions);
+    listElement.appendChild(li);
+  });
+}
+
+// Best valid result for the selected event from each vehicle, fastest first.
+function renderLeaderboardComparison(selected) {
+  const listElement = elements.leaderboardCompare;
+  if (!listElement) {
+    return;
+  }
+  listElement.innerHTML = "";
+  const rows = selected
+    ? vehicleStore.list()
+      .map(vehicle => ({ vehicle, run: runHistory.best(selected.kind, selected.event, { vehicle: vehicle.id }) }))
+      .sort((a, b) => (a.run?.result ?? Infinity) - (b.run?.result ?? Infinity))
+    : [];
+  if (!rows.length) {
+    const empty = document.createElement("li");
+    empty.textContent = "Pick an event to compare vehicles.";
+    listElement.appendChild(empty);
+  }
+  rows.forEach(({ vehicle, run }) => {
+    const li = document.createElement("li");
+    li.className = "leaderboard-compare__item";
+    const result = !run ? "No valid runs" : run.kind === "brake" ? formatShortDistance(run.result) : formatTimerResult(run.result, run.error);
+    li.textContent = `${vehicle.name} · ${result}`;
+    li.classList.toggle("leaderboard-compare__item--active", vehicle.id === vehicleStore.getActiveId());
+    listElement.appendChild(li);
+  });
+}
+
+function formatVehicleName(id) {
+  return vehicleStore.find(id ?? DEFAULT_VEHICLE_PROFILE)?.name ?? "Deleted vehicle";
+}
+
+function sortLeaderboardRuns(runs, sort) {
+  const byResult = (a, b) => (a.result ?? Infinity) - (b.result ?? Infinity);
+  const comparators = {
+    result: byResult,
+    recent: (a, b) => (b.startedAt ?? 0) - (a.startedAt ?? 0),
+    accuracy: (a, b) => (a.conditions?.accuracy ?? Infinity) - (b.conditions?.accuracy ?? Infinity),
+    starred: (a, b) => Number(b.starred) - Number(a.starred) || byResult(a, b),
+  };
+  return [...runs].sort(comparators[sort] || byResult);
+}
+
+function describeConditionsText(conditions) {
+  if (!conditions) {
+    return [];
+  }
+  return [
+    Number.isFinite(conditions.accuracy) ? `GPS ±${conditions.accuracy.toFixed(1)} m` : null,
+    Number.isFinite(conditions.rateHz) ? `${conditions.rateHz.toFixed(1)} Hz` : null,
+    Number.isFinite(conditions.slope) ? `slope ${conditions.slope >= 0 ? "+" : ""}${conditions.slope.toFixed(1)} %` : null,
+  ];
+}
+
+function bindLeaderboard() {
+  elements.leaderboardEvent?.addEventListener("change", event => {
+    leaderboardView.event = event.target.value;
+    renderLeaderboard();
+  });
+  elements.leaderboardSort?.addEventListener("change", event => {
+    leaderboardView.sort = event.target.value;
+    renderLeaderboard();
+  });
+  elements.leaderboardShowInvalid?.addEventListener("change", event => {
+    leaderboardView.showInvalid = event.target.checked;
+    renderLeaderboard();
+  });
+  elements.leaderboardVehicles?.addEventListener("change", event => {
+    leaderboardView.vehicles = event.target.value;
+    renderLeaderboard();
+  });
+  elements.leaderboardList?.addEventListener("click", event => {
+    const target = event.target.closest("[data-run-action]");
+    const run = target ? runHistory.find(target.dataset.runId) : null;
+    if (!run) {
+      return;
+    }
+    switch (target.dataset.runAction) {
+      case "star":
+        runHistory.update(run.id, { starred: !run.starred });
+        break;
+      case "valid":
+        runHistory.update(run.id, { valid: !run.valid });
+        break;
+      case "export":
+        exportRun(run);
+        break;
+      case "delete":
+        if (window.confirm(`Delete this ${run.label} run? This cannot be undone.`)) {
+          runHistory.remove(run.id);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+}
+
+async function exportRun(run) {
+  const config = SESSION_EXPORT_FORMATS.csv;
+  try {
+    const record = await loadRunSamples(run.id);
+    if (!record?.samples?.length) {
+      throw new Error("No samples were stored for this run.");
+    }
+    const origin = record.samples[0].distance;
+    const points = record.samples
+      .filter(sample => Number.isFinite(sample.lat) && Number.isFinite(sample.lon))
+      .map(sample => describeSessionSample({ ...sample, distance: sample.distance - origin }));
+    const content = config.build({ startedAt: run.startedAt }, points);
+    downloadTextFile(`${formatSessionFileName(run.startedAt, `run-${run.event}`)}.${config.extension}`, content, config.mimeType);
+  } catch (err) {
+    console.error("Unable to export run", err);
+    window.alert(`Unable to export run: ${err.message}`);
+  }
+}
+
+function createSessionRecorder() {
+  let session = null;
+  let pending = [];
+  let nextChunk = 0;
+  let lastFlush = 0;
+
+  function start(startedAt) {
+    session = {
+      id: startedAt,
+      startedAt,
+      endedAt: null,
+      lastSampleTime: null,
+      distance: 0,
+      maxSpeed: null,
+      sampleCount: 0,
+    };
+    pending = [];
+    nextChunk = 0;
+    lastFlush = Date.now();
+  }
+
+  function record(sample, distanceDelta) {
+    if (!session) {
+      return;
+    }
+    if (Number.isFinite(distanceDelta) && distanceDelta > 0) {
+      session.distance += distanceDelta;
+    }
+    if (Number.isFinite(sample.speed)) {
+      session.maxSpeed = session.maxSpeed === null ? sample.speed : Math.max(session.maxSpeed, sample.speed);
+    }
+    pending.push({ ...sample, distance: session.distance });
+    session.sampleCount += 1;
+    session.lastSampleTime = sample.time;
+    if (Date.now() - lastFlush >= SESSION_FLUSH_INTERVAL_MS) {
+      flush(session);
+    }
+  }
+
+  async function stop(endedAt) {
+    if (!session) {
+      return null;
+    }
+    const finished = session;
+    session = null;
+    finished.endedAt = endedAt;
+    if (!finished.sampleCount) {
+      await deleteSessionRecord(finished.id).catch(() => {});
+      return null;
+    }
+    await flush(finished);
+    return finished;
+  }
+
+  // A chunk that fails to save is put back so the next flush retries it.
+  function flush(target) {
+    lastFlush = Date.now();
+    const samples = pending;
+    pending = [];
+    const chunk = samples.length ? { sessionId: target.id, index: nextChunk++, samples } : null;
+    return saveSessionRecord({ ...target }, chunk).catch(err => {
+      console.warn("Unable to save session", err);
+      pending = [...samples, ...pending];
+    });
+  }
+
+  function get() {
+    return session;
+  }
+
+  return { start, record, stop, get };
+}
+
+function summarizeSession(record) {
+  const endedAt = record.endedAt ?? record.lastSampleTime ?? record.startedAt;
+  return {
+    id: record.id,
+    startedAt: record.startedAt,
+    durationSeconds: Math.max(0, Math.round((endedAt - record.startedAt) / 1000)),
+    distance: record.distance,
+    maxSpeed: record.maxSpeed,
+    sampleCount: record.sampleCount,
+  };
+}
+
+async function refreshSessionList() {
+  try {
+    const records = await loadSessionRecords();
+    sessionSummaries = records.map(summarizeSession).sort((a, b) => b.startedAt - a.startedAt);
+  } catch (err) {
+    console.warn("Unable to load sessions", err);
+    sessionSummaries = [];
+  }
+  renderSessionList(sessionSummaries);
+}
+
+function renderSessionList(summaries) {
+  const listElement = elements.sessionList;
+  if (!listElement) {
+    return;
+  }
+  listElement.innerHTML = "";
+  if (!summaries.length) {
+    const empty = document.createElement("li");
+    empty.textContent = "No sessions recorded yet.";
+    listElement.appendChild(empty);
+    return;
+  }
+  summaries.forEach(summary => {
+    const li = document.createElement("li");
+    li.className = "session-list__item";
+    const title = document.createElement("strong");
+    title.textContent = new Date(summary.startedAt).toLocaleString([], {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+    const meta = document.createElement("span");
+    meta.className = "session-list__meta";
+    meta.textContent = [
+      formatClock(summary.durationSeconds),
+      formatDistancePair(summary.distance),
+      `max ${formatSpeedDisplay(summary.maxSpeed)}`,
+    ].join(" · ");
+    const actions = document.createElement("div");
+    actions.className = "session-list__actions";
+    Object.entries(SESSION_EXPORT_FORMATS).forEach(([format, config]) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.dataset.sessionId = String(summary.id);
+      button.dataset.exportFormat = format;
+      button.textContent = config.label;
+      button.disabled = !summary.sampleCount;
+      actions.appendChild(button);
+    });
+    li.append(title, meta, actions);
+    listElement.appendChild(li);
+  });
+}
+
+function bindSessionList() {
+  if (!elements.sessionList) {
+    return;
+  }
+  elements.sessionList.addEventListener("click", event => {
+    const target = event.target.closest("[data-export-format]");
+    if (!target) {
+      return;
+    }
+    exportSession(Number(target.dataset.sessionId), target.dataset.exportFormat);
+  });
+}
+
+async function exportSession(id, format) {
+  const config = SESSION_EXPORT_FORMATS[format];
+  if (!config) {
+    return;
+  }
+  try {
+    const record = await loadSessionRecord(id);
+    if (!record) {
+      throw new Error("Session not found.");
+    }
+    const points = record.samples
+      .filter(sample => Number.isFinite(sample.lat) && Number.isFinite(sample.lon))
+      .map(describeSessionSample);
+    const content = config.build(record, points);
+    downloadTextFile(`${formatSessionFileName(record.startedAt)}.${config.extension}`, content, config.mimeType);
+  } catch (err) {
+    console.error("Unable to export session", err);
+    window.alert(`Unable to export session: ${err.message}`);
+  }
+}
+
+function describeSessionSample(sample) {
+  const speed = Number.isFinite(sample.speed) ? sample.speed : null;
+  const accel = Number.isFinite(sample.accel) ? sample.accel : null;
+  const distance = Number.isFinite(sample.distance) ? sample.distance : 0;
+  return {
+    time: sample.time,
+    lat: sample.lat,
+    lon: sample.lon,
+    heading: Number.isFinite(sample.heading) ? sample.heading : null,
+    accuracy: Number.isFinite(sample.accuracy) ? sample.accuracy : null,
+    speed,
+    speedMph: speed === null ? null : speed * 2.236936,
+    speedKph: speed === null ? null : speed * 3.6,
+    speedKnots: speed === null ? null : speed * 1.943844,
+    accelCurrent: accel,
+    decelCurrent: accel === null ? null : accel < 0 ? Math.abs(accel) : 0,
+    distanceMeters: distance,
+    distanceKm: distance / 1000,
+    distanceMiles: distance / 1609.344,
+  };
+}
+
+function buildGpxDocument(record, points) {
+  const trackPoints = points.map(point => {
+    const trackExtension = [
+      xmlElement("gpxtpx:speed", point.speed),
+      xmlElement("gpxtpx:course", point.heading),
+    ].join("");
+    const telemetryExtension = [
+      xmlElement("wbs:accel", point.accelCurrent),
+      xmlElement("wbs:distance", point.distanceMeters),
+      xmlElement("wbs:accuracy", point.accuracy),
+    ].join("");
+    return [
+      `<trkpt lat="${point.lat}" lon="${point.lon}">`,
+      `<time>${new Date(point.time).toISOString()}</time>`,
+      "<extensions>",
+      `<gpxtpx:TrackPointExtension>${trackExtension}</gpxtpx:TrackPointExtension>`,
+      telemetryExtension,
+      "</extensions>",
+      "</trkpt>",
+    ].join("");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Web-Based Speedometer"' +
+      ' xmlns="http://www.topografix.com/GPX/1/1"' +
+      ' xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"' +
+      ` xmlns:wbs="${EXPORT_NAMESPACE_URI}">`,
+    `<metadata><time>${new Date(record.startedAt).toISOString()}</time></metadata>`,
+    `<trk><name>${escapeXml(formatSessionFileName(record.startedAt))}</name><trkseg>`,
+    ...trackPoints,
+    "</trkseg></trk>",
+    "</gpx>",
+    "",
+  ].join("\n");
+}
+
+function buildTcxDocument(record, points) {
+  const startTime = new Date(record.startedAt).toISOString();
+  const endedAt = record.endedAt ?? points[points.length - 1]?.time ?? record.startedAt;
+  const trackPoints = points.map(point => {
+    const extensions = [
+      `<ns3:TPX>${xmlElement("ns3:Speed", point.speed)}</ns3:TPX>`,
+      xmlElement("wbs:Accel", point.accelCurrent),
+      xmlElement("wbs:Heading", point.heading),
+    ].join("");
+    return [
+      "<Trackpoint>",
+      `<Time>${new Date(point.time).toISOString()}</Time>`,
+      `<Position><LatitudeDegrees>${point.lat}</LatitudeDegrees><LongitudeDegrees>${point.lon}</LongitudeDegrees></Position>`,
+      `<DistanceMeters>${point.distanceMeters}</DistanceMeters>`,
+      `<Extensions>${extensions}</Extensions>`,
+      "</Trackpoint>",
+    ].join("");
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"' +
+      ' xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2"' +
+      ` xmlns:wbs="${EXPORT_NAMESPACE_URI}">`,
+    '<Activities><Activity Sport="Other">',
+    `<Id>${startTime}</Id>`,
+    `<Lap StartTime="${startTime}">`,
+    `<TotalTimeSeconds>${Math.max(0, (endedAt - record.startedAt) / 1000)}</TotalTimeSeconds>`,
+    `<DistanceMeters>${record.distance}</DistanceMeters>`,
+    xmlElement("MaximumSpeed", record.maxSpeed),
+    "<Calories>0</Calories>",
+    "<Intensity>Active</Intensity>",
+    "<TriggerMethod>Manual</TriggerMethod>",
+    "<Track>",
+    ...trackPoints,
+    "</Track>",
+    "</Lap>",
+    "</Activity></Activities>",
+    "</TrainingCenterDatabase>",
+    "",
+  ].join("\n");
+}
+
+function buildCsvDocument(record, points) {
+  const columns = [
+    "time",
+    "lat",
+    "lon",
+    "heading",
+    "accuracy",
+    "speed",
+    "speedMph",
+    "speedKph",
+    "speedKnots",
+    "accelCurrent",
+    "decelCurrent",
+    "distanceMeters",
+    "distanceKm",
+    "distanceMiles",
+  ];
+  const rows = points.map(point =>
+    columns
+      .map(column => {
+        if (column === "time") {
+          return new Date(point.time).toISOString();
+        }
+        return Number.isFinite(point[column]) ? point[column] : "";
+      })
+      .join(",")
+  );
+  return [columns.join(","), ...rows, ""].join("\n");
+}
+
+function buildGeoJsonDocument(record, points) {
+  const propertyKeys = ["heading", "accuracy", "speed", "accelCurrent", "decelCurrent", "distanceMeters"];
+  const coordinateProperties = { times: points.map(point => new Date(point.time).toISOString()) };
+  propertyKeys.forEach(key => {
+    coordinateProperties[key] = points.map(point => point[key]);
+  });
+  const feature = {
+    type: "Feature",
+    geometry: {
+      type: "LineString",
+      coordinates: points.map(point => [point.lon, point.lat]),
+    },
+    properties: {
+      name: formatSessionFileName(record.startedAt),
+      startedAt: new Date(record.startedAt).toISOString(),
+      endedAt: record.endedAt ? new Date(record.endedAt).toISOString() : null,
+      distanceMeters: record.distance,
+      speedMax: record.maxSpeed,
+      coordinateProperties,
+    },
+  };
+  return JSON.stringify({ type: "FeatureCollection", features: [feature] }, null, 2);
+}
+
+function xmlElement(name, value) {
+  if (value === null || value === undefined || (typeof value === "number" && !Number.isFinite(value))) {
+    return "";
+  }
+  return `<${name}>${escapeXml(String(value))}</${name}>`;
+}
+
+function escapeXml(value) {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function formatSessionFileName(timestamp, prefix = "session") {
+  const date = new Date(timestamp);
+  const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `${prefix}-${day}-${time}`;
+}
+
+function downloadTextFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function bindReplayControls() {
+  elements.replayUpload?.addEventListener("change", async event => {
+    const [file] = Array.from(event.target.files || []);
+    elements.replayUpload.value = "";
+    if (!file) {
+      return;
+    }
+    try {
+      const fixes = parseTrackFile(file.name, await readFile(file));
+      if (!fixes.length) {
+        throw new Error("No usable positions were found in the file.");
+      }
+      replayController.load(fixes, file.name);
+    } catch (err) {
+      console.error("Unable to load replay", err);
+      window.alert(`Unable to load replay "${file.name}": ${err.message}`);
+    }
+  });
+  elements.replayPasteLoad?.addEventListener("click", () => {
+    const text = elements.replayPasteInput?.value || "";
+    const fixes = parseNmeaLog(text);
+    if (!fixes.length) {
+      window.alert("No valid NMEA positions were found in the pasted log.");
+      return;
+    }
+    replayController.load(fixes, "Pasted NMEA log");
+  });
+  elements.replayToggle?.addEventListener("click", () => {
+    if (!isTracking || activePositionSource !== positionSources.replay) {
+      selectPositionSource("replay");
+      startTracking();
+    } else if (replayController.get().playing) {
+      replayController.pause();
+    } else {
+      replayController.play();
+    }
+  });
+  elements.replaySeek?.addEventListener("input", event => {
+    replayController.seek(Number(event.target.value) / REPLAY_SEEK_STEPS);
+  });
+  elements.replayRate?.addEventListener("change", event => {
+    replayController.setRate(Number(event.target.value));
+  });
+  renderReplayState(replayController.get());
+}
+
+function renderReplayState(state) {
+  if (elements.replayToggle) {
+    elements.replayToggle.disabled = !state.total;
+    elements.replayToggle.textContent = state.playing ? "Pause" : "Play";
+  }
+  if (elements.replaySeek) {
+    elements.replaySeek.disabled = !state.total;
+    elements.replaySeek.value = String(Math.round(state.progress * REPLAY_SEEK_STEPS));
+  }
+  if (elements.replayRate) {
+    elements.replayRate.value = String(state.rate);
+  }
+  if (elements.replayStatus) {
+    elements.replayStatus.textContent = state.total
+      ? `${state.name} · ${formatClock(Math.round(state.elapsed))} / ${formatClock(Math.round(state.duration))}`
+      : "No replay loaded";
+  }
+}
+
+function bindPositionSources() {
+  Object.values(positionSources).forEach(source => {
+    source.onFix(position => {
+      if (isTracking && source === activePositionSource) {
+        handlePosition(position);
+      }
+    });
+    source.onError(err => {
+      if (isTracking && source === activePositionSource) {
+        handleError(err);
+      }
+    });
+  });
+
+  if (elements.sourceSelect) {
+    elements.sourceSelect.innerHTML = "";
+    Object.values(positionSources).forEach(source => {
+      const option = document.createElement("option");
+      option.value = source.id;
+      option.textContent = source.label;
+      option.disabled = !source.capabilities.supported;
+      elements.sourceSelect.appendChild(option);
+    });
+    elements.sourceSelect.addEventListener("change", event => {
+      selectPositionSource(event.target.value);
+    });
+  }
+
+  if (elements.sourceUrl) {
+    elements.sourceUrl.value = positionSourceUrl;
+    elements.sourceUrl.addEventListener("change", event => {
+      positionSourceUrl = event.target.value.trim() || DEFAULT_POSITION_SOURCE_URL;
+      event.target.value = positionSourceUrl;
+      writePreference(POSITION_SOURCE_URL_STORAGE_KEY, positionSourceUrl);
+    });
+  }
+
+  syncPositionSourceControls();
+}
+
+function selectPositionSource(id) {
+  const next = positionSources[id];
+  if (!next || next === activePositionSource) {
+    syncPositionSourceControls();
+    return;
+  }
+  if (isTracking) {
+    stopTracking();
+  }
+  activePositionSource = next;
+  writePreference(POSITION_SOURCE_STORAGE_KEY, next.id);
+  syncPositionSourceControls();
+}
+
+function syncPositionSourceControls() {
+  const { capabilities } = activePositionSource;
+  if (elements.sourceSelect) {
+    elements.sourceSelect.value = activePositionSource.id;
+  }
+  if (elements.sourceUrl) {
+    elements.sourceUrl.hidden = !capabilities.requiresUrl;
+  }
+  if (elements.replayPanel) {
+    elements.replayPanel.hidden = !capabilities.seekable;
+  }
+}
+
+function createPositionSourceEvents() {
+  const fixListeners = new Set();
+  const errorListeners = new Set();
+
+  function subscribe(listeners, listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return {
+    onFix: listener => subscribe(fixListeners, listener),
+    onError: listener => subscribe(errorListeners, listener),
+    emitFix: position => fixListeners.forEach(listener => listener(position)),
+    emitError: err => errorListeners.forEach(listener => listener(err)),
+  };
+}
+
+function createBackoff(initialMs, maxMs) {
+  let attempt = 0;
+  return {
+    next() {
+      const delay = Math.min(initialMs * 2 ** attempt, maxMs);
+      attempt += 1;
+      return delay;
+    },
+    reset() {
+      attempt = 0;
+    },
+  };
+}
+
+function createGeolocationSource() {
+  const events = createPositionSourceEvents();
+  const backoff = createBackoff(SOURCE_RETRY_INITIAL_MS, SOURCE_RETRY_MAX_MS);
+  let watchId = null;
+  let rearm = null;
+
+  function start() {
+    if (!navigator.geolocation) {
+      throw new Error("Geolocation is not supported on this device.");
+    }
+    if (watchId !== null) {
+      return;
+    }
+    backoff.reset();
+    watch();
+  }
+
+  function stop() {
+    cancelRearm();
+    if (watchId !== null) {
+      navigator.geolocation.clearWatch(watchId);
+      watchId = null;
+    }
+  }
+
+  function watch() {
+    watchId = navigator.geolocation.watchPosition(
+      handleFix,
+      handleError,
+      { enableHighAccuracy: true, maximumAge: 0, timeout: 10000 }
+    );
+  }
+
+  function handleFix(position) {
+    cancelRearm();
+    backoff.reset();
+    events.emitFix(position);
+  }
+
+  // Timeouts and unavailable fixes leave the watch running; if nothing arrives
+  // before the backoff expires the watch is torn down and armed again, since
+  // some browsers silently stop delivering after an error.
+  function handleError(err) {
+    if (err.code === GEOLOCATION_PERMISSION_DENIED) {
+      stop();
+      events.emitError({ code: err.code, message: err.message });
+      return;
+    }
+    if (!rearm) {
+      const delay = backoff.next();
+      rearm = { at: Date.now() + delay, timer: window.setTimeout(rearmWatch, delay) };
+    }
+    events.emitError({ code: err.code, message: err.message, retryInMs: rearm.at - Date.now() });
+  }
+
+  function rearmWatch() {
+    rearm = null;
+    if (watchId === null) {
+      return;
+    }
+    navigator.geolocation.clearWatch(watchId);
+    watch();
+  }
+
+  function cancelRearm() {
+    if (rearm) {
+      clearTimeout(rearm.timer);
+      rearm = null;
+    }
+  }
+
+  return {
+    id: "geolocation",
+    label: "Device GPS",
+    capabilities: { supported: Boolean(navigator.geolocation), live: true, seekable: false, requiresUrl: false },
+    start,
+    stop,
+    onFix: events.onFix,
+    onError: events.onError,
+  };
+}
+
+function createReplaySource(hooks = {}) {
+  const events = createPositionSourceEvents();
+  const controller = createReplayController({
+    ...hooks,
+    onFix: fix => events.emitFix(createReplayPosition(fix)),
+  });
+
+  function start() {
+    if (!controller.get().total) {
+      throw new Error("Load a replay file before starting playback.");
+    }
+    controller.play();
+  }
+
+  return {
+    id: "replay",
+    label: "File Replay",
+    capabilities: { supported: true, live: false, seekable: true, requiresUrl: false },
+    controller,
+    start,
+    stop: controller.pause,
+    onFix: events.onFix,
+    onError: events.onError,
+  };
+}
+
+function createSyntheticRouteSource() {
+  const events = createPositionSourceEvents();
+  let timer = null;
+  let route = null;
+
+  function start() {
+    if (timer) {
+      return;
+    }
+    const center = Number.isFinite(telemetryState.lat) && Number.isFinite(telemetryState.lon)
+      ? { lat: telemetryState.lat, lon: telemetryState.lon }
+      : SYNTHETIC_ROUTE_ORIGIN;
+    route = { center, angle: 0, elapsed: 0 };
+    emitNext();
+    timer = window.setInterval(emitNext, SYNTHETIC_ROUTE_INTERVAL_MS);
+  }
+
+  function stop() {
+    if (timer) {
+      window.clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  function emitNext() {
+    const dt = SYNTHETIC_ROUTE_INTERVAL_MS / 1000;
+    const speed = syntheticRouteSpeed(route.elapsed);
+    route.angle += (speed * dt) / SYNTHETIC_ROUTE_RADIUS_M;
+    route.elapsed += dt;
+    const north = SYNTHETIC_ROUTE_RADIUS_M * Math.cos(route.angle);
+    const east = SYNTHETIC_ROUTE_RADIUS_M * Math.sin(route.angle);
+    const latitude = route.center.lat + (north / EARTH_RADIUS_M) * (180 / Math.PI);
+    const longitude = route.center.lon + (east / (EARTH_RADIUS_M * Math.cos(toRadians(route.center.lat)))) * (180 / Math.PI);
+    const heading = (((route.angle * 180) / Math.PI + 90) % 360 + 360) % 360;
+    events.emitFix({
+      coords: { latitude, longitude, heading, speed, accuracy: 5, altitude: null, altitudeAccuracy: null },
+      timestamp: Date.now(),
+    });
+  }
+
+  return {
+    id: "synthetic",
+    label: "Demo Route",
+    capabilities: { supported: true, live: false, seekable: false, requiresUrl: false },
+    start,
+    stop,
+    onFix: events.onFix,
+    onError: events.onError,
+  };
+}
+
+function syntheticRouteSpeed(elapsedSeconds) {
+  const t = elapsedSeconds % 70;
+  if (t < 5) {
+    return 0;
+  }
+  if (t < 17) {
+    return ((t - 5) / 12) * SYNTHETIC_ROUTE_TOP_SPEED_MS;
+  }
+  if (t < 47) {
+    return SYNTHETIC_ROUTE_TOP_SPEED_MS;
+  }
+  if (t < 57) {
+    return (1 - (t - 47) / 10) * SYNTHETIC_ROUTE_TOP_SPEED_MS;
+  }
+  return 0;
+}
+
+function createWebSocketSource(getUrl) {
+  const events = createPositionSourceEvents();
+  const nmea = createNmeaParser(emitFix);
+  const decoder = typeof TextDecoder === "undefined" ? null : new TextDecoder();
+  const backoff = createBackoff(SOURCE_RETRY_INITIAL_MS, SOURCE_RETRY_MAX_MS);
+  let socket = null;
+  let buffer = "";
+  let reconnectTimer = null;
+
+  function start() {
+    if (!("WebSocket" in window)) {
+      throw new Error("WebSockets are not supported in this browser.");
+    }
+    if (socket) {
+      return;
+    }
+    const url = getUrl();
+    if (!/^wss?:\/\//i.test(url)) {
+      throw new Error("Enter a ws:// or wss:// address for the GPS feed.");
+    }
+    backoff.reset();
+    connect(url);
+  }
+
+  function connect(url) {
+    reconnectTimer = null;
+    const current = new WebSocket(url);
+    socket = current;
+    buffer = "";
+    current.binaryType = "arraybuffer";
+    current.addEventListener("open", () => {
+      current.send('?WATCH={"enable":true,"json":true};');
+    });
+    current.addEventListener("message", event => {
+      if (typeof event.data === "string") {
+        consume(event.data);
+      } else if (decoder && event.data instanceof ArrayBuffer) {
+        consume(decoder.decode(new Uint8Array(event.data), { stream: true }));
+      }
+    });
+    current.addEventListener("close", () => {
+      if (socket === current) {
+        const delay = backoff.next();
+        reconnectTimer = window.setTimeout(() => connect(url), delay);
+        events.emitError({ code: 2, message: `GPS feed at ${url} disconnected.`, retryInMs: delay });
+      }
+    });
+  }
+
+  function stop() {
+    const current = socket;
+    socket = null;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    current?.close();
+  }
+
+  function emitFix(position) {
+    backoff.reset();
+    events.emitFix(position);
+  }
+
+  function consume(chunk) {
+    buffer += chunk;
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    if (buffer.trim().endsWith("}")) {
+      lines.push(buffer);
+      buffer = "";
+    }
+    lines.forEach(line => {
+      const trimmed = line.trim();
+      if (trimmed.startsWith("{")) {
+        const position = parseGpsdMessage(trimmed);
+        if (position) {
+          emitFix(position);
+        }
+      } else if (trimmed) {
+        nmea.push(`${trimmed}\n`);
+      }
+    });
+  }
+
+  return {
+    id: "websocket",
+    label: "GPS Feed (WebSocket)",
+    capabilities: { supported: "WebSocket" in window, live: true, seekable: false, requiresUrl: true },
+    start,
+    stop,
+    onFix: events.onFix,
+    onError: events.onError,
+  };
+}
+
+function parseGpsdMessage(line) {
+  if (!line.startsWith("{")) {
+    return null;
+  }
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (err) {
+    return null;
+  }
+  if (message.class !== "TPV" || message.mode < 2 || !Number.isFinite(message.lat) || !Number.isFinite(message.lon)) {
+    return null;
+  }
+  const timestamp = Date.parse(message.time);
+  const horizontalError = Number.isFinite(message.eph)
+    ? message.eph
+    : Number.isFinite(message.epx) && Number.isFinite(message.epy)
+      ? Math.hypot(message.epx, message.epy)
+      : null;
+  const altitude = [message.altMSL, message.alt, message.altHAE].find(Number.isFinite);
+  return {
+    coords: {
+      latitude: message.lat,
+      longitude: message.lon,
+      heading: Number.isFinite(message.track) ? message.track : null,
+      speed: Number.isFinite(message.speed) ? message.speed : null,
+      accuracy: horizontalError,
+      altitude: altitude ?? null,
+      altitudeAccuracy: Number.isFinite(message.epv) ? message.epv : null,
+    },
+    timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+  };
+}
+
+function createReplayController(hooks = {}) {
+  let fixes = [];
+  let name = null;
+  let index = 0;
+  let rate = 1;
+  let playing = false;
+  let timer = null;
+
+  function load(nextFixes, label) {
+    pause();
+    fixes = nextFixes;
+    name = label;
+    index = 0;
+    notify();
+  }
+
+  function play() {
+    if (playing || !fixes.length) {
+      return;
+    }
+    if (index >= fixes.length) {
+      index = 0;
+    }
+    playing = true;
+    step();
+  }
+
+  function pause() {
+    playing = false;
+    clearTimer();
+    notify();
+  }
+
+  function seek(fraction) {
+    if (!fixes.length) {
+      return;
+    }
+    const clamped = Math.max(0, Math.min(1, fraction));
+    const target = fixes[0].time + clamped * durationMs();
+    const nextIndex = fixes.findIndex(fix => fix.time >= target);
+    index = nextIndex === -1 ? fixes.length - 1 : nextIndex;
+    hooks.onSeek?.();
+    if (playing) {
+      clearTimer();
+      step();
+    } else {
+      notify();
+    }
+  }
+
+  function setRate(value) {
+    rate = REPLAY_RATES.includes(value) ? value : 1;
+    notify();
+  }
+
+  function step() {
+    timer = null;
+    if (!playing || index >= fixes.length) {
+      playing = false;
+      notify();
+      return;
+    }
+    const fix = fixes[index];
+    index += 1;
+    hooks.onFix?.(fix);
+    if (index >= fixes.length) {
+      playing = false;
+    } else {
+      const delay = Math.max(0, (fixes[index].time - fix.time) / rate);
+      timer = window.setTimeout(step, delay);
+    }
+    notify();
+  }
+
+  function clearTimer() {
+    if (timer) {
+      window.clearTimeout(timer);
+      timer = null;
+    }
+  }
+
+  function durationMs() {
+    return fixes.length ? fixes[fixes.length - 1].time - fixes[0].time : 0;
+  }
+
+  function notify() {
+    hooks.onChange?.(get());
+  }
+
+  function get() {
+    const duration = durationMs();
+    const current = fixes[Math.max(0, index - 1)];
+    const elapsed = current ? current.time - fixes[0].time : 0;
+    return {
+      name,
+      playing,
+      rate,
+      index,
+      total: fixes.length,
+      elapsed: elapsed / 1000,
+      duration: duration / 1000,
+      progress: duration > 0 ? elapsed / duration : 0,
+    };
+  }
+
+  return { load, play, pause, seek, setRate, get };
+}
+
+function createReplayPosition(fix) {
+  return {
+    coords: {
+      latitude: fix.lat,
+      longitude: fix.lon,
+      heading: fix.heading ?? null,
+      speed: fix.speed ?? null,
+      accuracy: fix.accuracy ?? null,
+      altitude: fix.altitude ?? null,
+      altitudeAccuracy: null,
+    },
+    timestamp: fix.time,
+    gnss: fix.gnss ?? null,
+  };
+}
+
+function parseTrackFile(fileName, text) {
+  const match = /\.([^.]+)$/.exec(fileName);
+  const ext = match ? match[1].toLowerCase() : "";
+  let fixes;
+  if (ext === "gpx") {
+    fixes = parseGpxTrack(text);
+  } else if (ext === "csv") {
+    fixes = parseCsvTrack(text);
+  } else if (["nmea", "txt", "log"].includes(ext)) {
+    fixes = parseNmeaLog(text);
+  } else {
+    throw new Error("Unsupported file type. Use .gpx, .csv or .nmea.");
+  }
+  return fixes
+    .filter(fix => Number.isFinite(fix.time) && Number.isFinite(fix.lat) && Number.isFinite(fix.lon))
+    .sort((a, b) => a.time - b.time);
+}
+
+function parseGpxTrack(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) {
+    throw new Error("GPX file is not valid XML.");
+  }
+  const points = Array.from(doc.getElementsByTagNameNS("*", "trkpt"));
+  return points.map(point => {
+    const read = localName => {
+      const node = point.getElementsByTagNameNS("*", localName)[0];
+      return node ? node.textContent.trim() : null;
+    };
+    return {
+      time: Date.parse(read("time")),
+      lat: parseFloat(point.getAttribute("lat")),
+      lon: parseFloat(point.getAttribute("lon")),
+      altitude: parseOptionalNumber(read("ele")),
+      speed: parseOptionalNumber(read("speed")),
+      heading: parseOptionalNumber(read("course")),
+      accuracy: parseOptionalNumber(read("accuracy")),
+    };
+  });
+}
+
+function parseCsvTrack(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length < 2) {
+    return [];
+  }
+  const header = lines[0].split(",").map(column => column.trim().toLowerCase());
+  const column = (...names) => header.findIndex(name => names.includes(name));
+  const indexes = {
+    time: column("time", "timestamp", "gpstimestamp"),
+    lat: column("lat", "latitude"),
+    lon: column("lon", "lng", "longitude"),
+    speed: column("speed", "speed_mps"),
+    heading: column("heading", "course"),
+    accuracy: column("accuracy"),
+    altitude: column("altitude", "ele", "elevation"),
+  };
+  if (indexes.time === -1 || indexes.lat === -1 || indexes.lon === -1) {
+    throw new Error("CSV needs time, lat and lon columns.");
+  }
+  return lines.slice(1).map(line => {
+    const cells = line.split(",");
+    const cell = key => (indexes[key] === -1 ? null : cells[indexes[key]]);
+    return {
+      time: parseTimestamp(cell("time")),
+      lat: parseFloat(cell("lat")),
+      lon: parseFloat(cell("lon")),
+      speed: parseOptionalNumber(cell("speed")),
+      heading: parseOptionalNumber(cell("heading")),
+      accuracy: parseOptionalNumber(cell("accuracy")),
+      altitude: parseOptionalNumber(cell("altitude")),
+    };
+  });
+}
+
+function parseNmeaLog(text) {
+  const fixes = [];
+  const parser = createNmeaParser(position => fixes.push(positionToTrackFix(position)), { idleFlushMs: 0 });
+  parser.push(text);
+  parser.push("\n");
+  parser.flush();
+  return fixes;
+}
+
+function positionToTrackFix(position) {
+  const { coords } = position;
+  return {
+    time: position.timestamp,
+    lat: coords.latitude,
+    lon: coords.longitude,
+    heading: coords.heading,
+    speed: coords.speed,
+    accuracy: coords.accuracy,
+    altitude: coords.altitude,
+    gnss: position.gnss ?? null,
+  };
+}
+
+function createNmeaParser(onFix, options = {}) {
+  const idleFlushMs = options.idleFlushMs ?? NMEA_EPOCH_IDLE_MS;
+  const decoder = typeof TextDecoder === "undefined" ? null : new TextDecoder();
+  const satellitesInView = new Map();
+  let buffer = "";
+  let lastDate = null;
+  let epoch = null;
+  let idleTimer = null;
+
+  function push(chunk) {
+    buffer += decodeChunk(chunk);
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    lines.forEach(line => {
+      (line.match(/[$!][^$!]*/g) || []).forEach(pushSentence);
+    });
+  }
+
+  function decodeChunk(chunk) {
+    if (typeof chunk === "string") {
+      return chunk;
+    }
+    if (!decoder || !chunk) {
+      return "";
+    }
+    const bytes = chunk instanceof ArrayBuffer ? new Uint8Array(chunk) : chunk;
+    return decoder.decode(bytes, { stream: true });
+  }
+
+  function pushSentence(raw) {
+    const sentence = parseNmeaSentence(raw.trim());
+    if (!sentence) {
+      return;
+    }
+    if (sentence.type === "GSV") {
+      satellitesInView.set(sentence.talker, sentence.satellitesInView);
+      return;
+    }
+    if (sentence.timeOfDay && epoch?.timeOfDay && sentence.timeOfDay !== epoch.timeOfDay) {
+      flush();
+    }
+    if (!epoch) {
+      epoch = { timeOfDay: null, usedSatellites: new Set() };
+    }
+    mergeSentence(sentence);
+    scheduleFlush();
+  }
+
+  function mergeSentence(sentence) {
+    if (sentence.timeOfDay) {
+      epoch.timeOfDay = sentence.timeOfDay;
+    }
+    switch (sentence.type) {
+      case "RMC":
+        if (sentence.date) {
+          lastDate = sentence.date;
+        }
+        if (sentence.valid) {
+          epoch.lat = sentence.lat;
+          epoch.lon = sentence.lon;
+          epoch.speed = sentence.speed;
+          epoch.heading = sentence.heading;
+        }
+        break;
+      case "GGA":
+        epoch.fixQuality = sentence.fixQuality;
+        epoch.satellites = sentence.satellites;
+        epoch.hdop = sentence.hdop ?? epoch.hdop;
+        if (sentence.fixQuality > 0) {
+          epoch.lat = sentence.lat;
+          epoch.lon = sentence.lon;
+          epoch.altitude = sentence.altitude;
+        }
+        break;
+      case "VTG":
+        epoch.speed = epoch.speed ?? sentence.speed;
+        epoch.heading = epoch.heading ?? sentence.heading;
+        break;
+      case "GSA":
+        epoch.fixMode = sentence.fixMode;
+        epoch.pdop = sentence.pdop;
+        epoch.hdop = sentence.hdop ?? epoch.hdop;
+        epoch.vdop = sentence.vdop;
+        sentence.satellites.forEach(prn => epoch.usedSatellites.add(`${sentence.system}:${prn}`));
+        break;
+      default:
+        break;
+    }
+  }
+
+  function scheduleFlush() {
+    if (!idleFlushMs) {
+      return;
+    }
+    if (idleTimer) {
+      window.clearTimeout(idleTimer);
+    }
+    idleTimer = window.setTimeout(flush, idleFlushMs);
+  }
+
+  function flush() {
+    if (idleTimer) {
+      window.clearTimeout(idleTimer);
+      idleTimer = null;
+    }
+    const current = epoch;
+    epoch = null;
+    if (!current || !Number.isFinite(current.lat) || !Number.isFinite(current.lon)) {
+      return;
+    }
+    const timestamp = parseNmeaDateTime(lastDate ?? formatNmeaDate(new Date()), current.timeOfDay);
+    const totalInView = Array.from(satellitesInView.values()).reduce((sum, count) => sum + count, 0);
+    const hdop = current.hdop ?? null;
+    const vdop = current.vdop ?? null;
+    onFix({
+      coords: {
+        latitude: current.lat,
+        longitude: current.lon,
+        heading: current.heading ?? null,
+        speed: current.speed ?? null,
+        accuracy: hdop === null ? null : hdop * NMEA_UERE_M,
+        altitude: current.altitude ?? null,
+        altitudeAccuracy: vdop === null ? null : vdop * NMEA_UERE_M,
+      },
+      timestamp: Number.isFinite(timestamp) ? timestamp : Date.now(),
+      gnss: {
+        satellites: current.usedSatellites.size || current.satellites || null,
+        satellitesInView: totalInView || null,
+        constellations: Array.from(satellitesInView.keys()).map(talker => NMEA_TALKERS[talker] || talker),
+        hdop,
+        vdop,
+        pdop: current.pdop ?? null,
+        fixQuality: Number.isFinite(current.fixQuality) ? current.fixQuality : null,
+        fixMode: current.fixMode ?? null,
+      },
+    });
+  }
+
+  return { push, pushSentence, flush };
+}
+
+function parseNmeaSentence(line) {
+  const match = /^[$!]([A-Z0-9]+),([^*]*)(?:\*([0-9A-F]{2}))?$/i.exec(line);
+  if (!match) {
+    return null;
+  }
+  const [, address, payload, checksum] = match;
+  // The checksum is optional in NMEA 0183, but a mismatching one means a corrupted sentence.
+  if (checksum && computeNmeaChecksum(`${address},${payload}`) !== parseInt(checksum, 16)) {
+    return null;
+  }
+  if (address.startsWith("P") || address.length !== 5) {
+    return null;
+  }
+  const talker = address.slice(0, 2).toUpperCase();
+  const type = address.slice(2).toUpperCase();
+  const fields = payload.split(",");
+
+  if (type === "RMC") {
+    return {
+      type,
+      talker,
+      timeOfDay: fields[0] || null,
+      valid: fields[1] === "A",
+      lat: parseNmeaCoordinate(fields[2], fields[3]),
+      lon: parseNmeaCoordinate(fields[4], fields[5]),
+      speed: knotsToMetersPerSecond(parseOptionalNumber(fields[6])),
+      heading: parseOptionalNumber(fields[7]),
+      date: fields[8] || null,
+    };
+  }
+  if (type === "GGA") {
+    return {
+      type,
+      talker,
+      timeOfDay: fields[0] || null,
+      lat: parseNmeaCoordinate(fields[1], fields[2]),
+      lon: parseNmeaCoordinate(fields[3], fields[4]),
+      fixQuality: parseInt(fields[5], 10) || 0,
+      satellites: parseOptionalNumber(fields[6]),
+      hdop: parseOptionalNumber(fields[7]),
+      altitude: parseOptionalNumber(fields[8]),
+    };
+  }
+  if (type === "VTG") {
+    const kph = parseOptionalNumber(fields[6]);
+    return {
+      type,
+      talker,
+      heading: parseOptionalNumber(fields[0]),
+      speed: kph === null ? knotsToMetersPerSecond(parseOptionalNumber(fields[4])) : kph / 3.6,
+    };
+  }
+  if (type === "GSA") {
+    return {
+      type,
+      talker,
+      system: fields[17] ? NMEA_SYSTEM_IDS[fields[17]] || fields[17] : talker,
+      fixMode: parseInt(fields[1], 10) || null,
+      satellites: fields.slice(2, 14).filter(Boolean),
+      pdop: parseOptionalNumber(fields[14]),
+      hdop: parseOptionalNumber(fields[15]),
+      vdop: parseOptionalNumber(fields[16]),
+    };
+  }
+  if (type === "GSV") {
+    return {
+      type,
+      talker,
+      satellitesInView: parseInt(fields[2], 10) || 0,
+    };
+  }
+  return null;
+}
+
+function computeNmeaChecksum(body) {
+  let checksum = 0;
+  for (let i = 0; i < body.length; i += 1) {
+    checksum ^= body.charCodeAt(i);
+  }
+  return checksum;
+}
+
+function knotsToMetersPerSecond(value) {
+  return Number.isFinite(value) ? value / 1.943844 : null;
+}
+
+function parseNmeaCoordinate(value, hemisphere) {
+  const raw = parseFloat(value);
+  if (!Number.isFinite(raw)) {
+    return NaN;
+  }
+  const degrees = Math.floor(raw / 100);
+  const decimal = degrees + (raw - degrees * 100) / 60;
+  return hemisphere === "S" || hemisphere === "W" ? -decimal : decimal;
+}
+
+function parseNmeaDateTime(date, time) {
+  if (!/^\d{6}$/.test(date || "") || !/^\d{6}/.test(time || "")) {
+    return NaN;
+  }
+  const day = Number(date.slice(0, 2));
+  const month = Number(date.slice(2, 4)) - 1;
+  const shortYear = Number(date.slice(4, 6));
+  const year = shortYear < 80 ? 2000 + shortYear : 1900 + shortYear;
+  const hours = Number(time.slice(0, 2));
+  const minutes = Number(time.slice(2, 4));
+  const seconds = parseFloat(time.slice(4));
+  return Date.UTC(year, month, day, hours, minutes, 0) + Math.round(seconds * 1000);
+}
+
+function formatNmeaDate(date) {
+  return `${pad(date.getUTCDate())}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCFullYear() % 100)}`;
+}
+
+function parseTimestamp(value) {
+  if (value === null || value === undefined || value === "") {
+    return NaN;
+  }
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) {
+    return numeric < 1e12 ? numeric * 1000 : numeric;
+  }
+  return Date.parse(value);
+}
+
+function parseOptionalNumber(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function bindSettings() {
+  const inputs = document.querySelectorAll("[data-setting]");
+  inputs.forEach(input => {
+    const key = input.dataset.setting;
+    showSetting(input);
+    input.addEventListener("change", () => {
+      const next = input.type === "checkbox" ? input.checked : readSettingInput(input);
+      if (next === null) {
+        showSetting(input);
+        return;
+      }
+      settingsStore.update({ [key]: SPEED_SETTINGS.includes(key) ? readSpeedSetting(key, next) : next });
+      showSetting(input);
+      applySetting(key);
+    });
+  });
+}
+
+function showSetting(input) {
+  const key = input.dataset.setting;
+  const value = settingsStore.get()[key];
+  if (input.type === "checkbox") {
+    input.checked = Boolean(value);
+  } else if (SPEED_SETTINGS.includes(key)) {
+    input.value = [].concat(value).map(formatSpeedSetting).join(", ");
+  } else if (value !== undefined && value !== null) {
+    input.value = String(value);
+  }
+}
+
+// Speeds are typed and shown in the selected unit but stored in the unit they
+// were entered in, so switching units or vehicles does not move them.
+function readSpeedSetting(key, value) {
+  if (key === "speedAlertThresholds") {
+    return parseSpeedList(value).slice(0, SPEED_ALERT_MAX_THRESHOLDS).map(speed => ({ value: speed, unit: activeSpeedUnit }));
+  }
+  return { value, unit: activeSpeedUnit };
+}
+
+function formatSpeedSetting({ value, unit }) {
+  return String(Number(SPEED_UNITS[activeSpeedUnit].fromBase(speedToMetersPerSecond(value, unit)).toFixed(1)));
+}
+
+function refreshSpeedSettings() {
+  SPEED_SETTINGS.forEach(key => {
+    document.querySelectorAll(`[data-setting="${key}"]`).forEach(showSetting);
+  });
+}
+
+function readSettingInput(input) {
+  if (input.type !== "number") {
+    return input.value;
+  }
+  const parsed = parseFloat(input.value);
+  if (!Number.isFinite(parsed)) {
+    return null;
+  }
+  const min = parseFloat(input.min);
+  const max = parseFloat(input.max);
+  return Math.min(Number.isFinite(max) ? max : parsed, Math.max(Number.isFinite(min) ? min : parsed, parsed));
+}
+
+function applySetting(key) {
+  if (key === "kalmanFilter") {
+    kalmanFilter.reset();
+  }
+  if (key === "brakeStartSpeed") {
+    pushTelemetry(renderBrakeTest(brakeTest.abort()));
+  }
+  if (key.startsWith("speedAlert")) {
+    speedAlert.reset();
+    refreshSpeedAlert();
+  }
+  if (key === "speedBandEdges") {
+    pushTelemetry(renderSpeedProfile(speedHistogramStore.get(), rollingSpeedStore.get(), speedStatsStore.get()));
+  }
+}
+
+function createFixQualityGate() {
+  const emptyCounts = { accepted: 0, rejectedAccuracy: 0, rejectedJump: 0 };
+  let counts = { ...emptyCounts };
+  let reference = null;
+  let anchor = null;
+  let consecutiveRejects = 0;
+  let lastResult = { accepted: true, reason: null, holding: false, stationary: false };
+
+  function evaluate(fix) {
+    const settings = settingsStore.get();
+    const reason = findRejectReason(fix, settings);
+    if (reason) {
+      consecutiveRejects += 1;
+      counts[reason === "accuracy" ? "rejectedAccuracy" : "rejectedJump"] += 1;
+      // A long run of "impossible" jumps means the reference itself was bad (e.g. after a tunnel), so re-anchor.
+      if (reason === "jump" && consecutiveRejects >= FIX_GATE_MAX_CONSECUTIVE_REJECTS) {
+        reference = null;
+      }
+      lastResult = { accepted: false, reason, holding: lastResult.holding, stationary: lastResult.stationary };
+      return get();
+    }
+
+    consecutiveRejects = 0;
+    counts.accepted += 1;
+    const { holding, stationary } = detectStationary(fix);
+    reference = {
+      lat: fix.lat,
+      lon: fix.lon,
+      time: fix.time,
+      speed: Number.isFinite(fix.speed) ? fix.speed : impliedSpeed(fix),
+    };
+    lastResult = { accepted: true, reason: null, holding, stationary };
+    return get();
+  }
+
+  function findRejectReason(fix, settings) {
+    if (!Number.isFinite(fix.lat) || !Number.isFinite(fix.lon)) {
+      return "accuracy";
+    }
+    if (Number.isFinite(fix.accuracy) && fix.accuracy > settings.maxAccuracyM) {
+      return "accuracy";
+    }
+    if (!reference) {
+      return null;
+    }
+    const dt = fix.time - reference.time;
+    if (!(dt > 0) || dt > FIX_GATE_REFERENCE_TTL_S) {
+      reference = null;
+      return null;
+    }
+    const implied = impliedSpeed(fix);
+    if (implied > settings.maxSpeedMs) {
+      return "jump";
+    }
+    const speed = Number.isFinite(fix.speed) ? fix.speed : implied;
+    if (Number.isFinite(reference.speed) && Math.abs(speed - reference.speed) / dt > settings.maxAccelMs2) {
+      return "jump";
+    }
+    return null;
+  }
+
+  function impliedSpeed(fix) {
+    if (!reference) {
+      return null;
+    }
+    const dt = fix.time - reference.time;
+    return dt > 0 ? haversineDistance(reference, fix) / dt : null;
+  }
+
+  function detectStationary(fix) {
+    const radius = Math.max(Number.isFinite(fix.accuracy) ? fix.accuracy : 0, STATIONARY_MIN_RADIUS_M);
+    const range = anchor ? haversineDistance(anchor, fix) : null;
+    // Without a reported speed, use how fast we are moving relative to the anchor rather than assuming we are parked.
+    const speed = Number.isFinite(fix.speed) ? fix.speed : anchorSpeed(range, fix.time);
+    const slow = Number.isFinite(speed) && speed < STATIONARY_SPEED_MS;
+    // Once parked, require a clearly larger excursion before calling it movement again.
+    const limit = lastResult.stationary ? radius * STATIONARY_EXIT_FACTOR : radius;
+    if (anchor && slow && range <= limit) {
+      anchor.range = range;
+      anchor.rangeTime = fix.time;
+      return { holding: true, stationary: fix.time - anchor.time >= STATIONARY_HOLD_S };
+    }
+    anchor = { lat: fix.lat, lon: fix.lon, time: fix.time, range: 0, rangeTime: fix.time };
+    return { holding: false, stationary: false };
+  }
+
+  function anchorSpeed(range, time) {
+    if (!anchor) {
+      return null;
+    }
+    const dt = time - anchor.rangeTime;
+    return dt > 0 ? Math.abs(range - anchor.range) / dt : null;
+  }
+
+  function resetReference() {
+    reference = null;
+    anchor = null;
+    consecutiveRejects = 0;
+    lastResult = { accepted: true, reason: null, holding: false, stationary: false };
+  }
+
+  function reset() {
+    resetReference();
+    counts = { ...emptyCounts };
+    return get();
+  }
+
+  function get() {
+    return { ...lastResult, counts: { ...counts } };
   }
 
-  return { update, reset, get };
+  return { evaluate, reset, resetReference, get };
 }
 
-function createDistanceStore() {
-  const defaults = { total: 0 };
-  let state = loadState("distance", defaults);
+function createKalmanFilter() {
+  let origin = null;
+  let axes = null;
+  let lastTime = null;
 
-  function update(delta) {
-    if (Number.isFinite(delta) && delta > 0) {
-      state.total += delta;
-      persistState("distance", state);
+  function update(fix) {
+    if (!Number.isFinite(fix.lat) || !Number.isFinite(fix.lon) || !Number.isFinite(fix.time)) {
+      return null;
     }
-    return state.total;
+    const dt = lastTime === null ? 0 : fix.time - lastTime;
+    if (!origin || dt < 0 || dt > KALMAN_MAX_GAP_S) {
+      reset();
+      origin = { lat: fix.lat, lon: fix.lon };
+    }
+    const position = projectToLocalPlane(origin, fix.lat, fix.lon);
+    const velocity = resolveVelocityVector(fix.speed, fix.heading);
+    const positionVariance = Math.max(fix.accuracy || KALMAN_DEFAULT_ACCURACY_M, KALMAN_MIN_ACCURACY_M) ** 2;
+
+    if (!axes) {
+      axes = {
+        east: createKalmanAxis(position.east, velocity ? velocity.east : 0, positionVariance),
+        north: createKalmanAxis(position.north, velocity ? velocity.north : 0, positionVariance),
+      };
+    } else if (dt > 0) {
+      predictKalmanAxis(axes.east, dt);
+      predictKalmanAxis(axes.north, dt);
+    }
+
+    correctKalmanAxis(axes.east, 0, position.east, positionVariance);
+    correctKalmanAxis(axes.north, 0, position.north, positionVariance);
+    if (velocity) {
+      correctKalmanAxis(axes.east, 1, velocity.east, KALMAN_SPEED_VARIANCE);
+      correctKalmanAxis(axes.north, 1, velocity.north, KALMAN_SPEED_VARIANCE);
+    }
+    lastTime = fix.time;
+    return get();
   }
 
   function reset() {
-    state = { ...defaults };
-    persistState("distance", state);
-    return state.total;
+    origin = null;
+    axes = null;
+    lastTime = null;
   }
 
   function get() {
-    return state.total;
+    if (!axes) {
+      return null;
+    }
+    const [, vEast, aEast] = axes.east.x;
+    const [, vNorth, aNorth] = axes.north.x;
+    const speed = Math.hypot(vEast, vNorth);
+    // Project acceleration onto the direction of travel so it matches the longitudinal readout.
+    const accel = speed > KALMAN_STATIONARY_SPEED_MS ? (aEast * vEast + aNorth * vNorth) / speed : 0;
+    return { speed, accel };
   }
 
   return { update, reset, get };
 }
 
-function createQuarterMileTracker() {
-  const defaults = { bestTime: null, lastTime: null };
-  let state = loadState("quartermile", defaults);
-  let runStart = null;
-  let status = "Standby";
+function createKalmanAxis(position, velocity, positionVariance) {
+  return {
+    x: [position, velocity, 0],
+    P: [
+      [positionVariance, 0, 0],
+      [0, KALMAN_INITIAL_VELOCITY_VARIANCE, 0],
+      [0, 0, KALMAN_INITIAL_ACCEL_VARIANCE],
+    ],
+  };
+}
+
+function predictKalmanAxis(axis, dt) {
+  const [p, v, a] = axis.x;
+  axis.x = [p + v * dt + 0.5 * a * dt * dt, v + a * dt, a];
+  const F = [
+    [1, dt, 0.5 * dt * dt],
+    [0, 1, dt],
+    [0, 0, 1],
+  ];
+  const q = KALMAN_JERK_DENSITY;
+  const Q = [
+    [(q * dt ** 5) / 20, (q * dt ** 4) / 8, (q * dt ** 3) / 6],
+    [(q * dt ** 4) / 8, (q * dt ** 3) / 3, (q * dt ** 2) / 2],
+    [(q * dt ** 3) / 6, (q * dt ** 2) / 2, q * dt],
+  ];
+  const FP = multiplyMatrices(F, axis.P);
+  const FPFt = multiplyMatrices(FP, transposeMatrix(F));
+  axis.P = FPFt.map((row, i) => row.map((value, j) => value + Q[i][j]));
+}
 
-  function update(totalDistance, speed, timestamp) {
-    if (shouldArmRun(speed) && !runStart) {
-      runStart = { distance: totalDistance, time: timestamp };
-      status = "Running";
-      return get();
+function correctKalmanAxis(axis, index, measurement, variance) {
+  const innovationVariance = axis.P[index][index] + variance;
+  if (!(innovationVariance > 0)) {
+    return;
+  }
+  const gain = axis.P.map(row => row[index] / innovationVariance);
+  const residual = measurement - axis.x[index];
+  axis.x = axis.x.map((value, i) => value + gain[i] * residual);
+  const measuredRow = axis.P[index].slice();
+  axis.P = axis.P.map((row, i) => row.map((value, j) => value - gain[i] * measuredRow[j]));
+}
+
+function multiplyMatrices(a, b) {
+  return a.map(row => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+}
+
+function transposeMatrix(matrix) {
+  return matrix[0].map((_, j) => matrix.map(row => row[j]));
+}
+
+function projectToLocalPlane(origin, lat, lon) {
+  return {
+    east: toRadians(lon - origin.lon) * EARTH_RADIUS_M * Math.cos(toRadians(origin.lat)),
+    north: toRadians(lat - origin.lat) * EARTH_RADIUS_M,
+  };
+}
+
+function resolveVelocityVector(speed, heading) {
+  if (!Number.isFinite(speed)) {
+    return null;
+  }
+  if (speed < KALMAN_STATIONARY_SPEED_MS) {
+    return { east: 0, north: 0 };
+  }
+  if (!Number.isFinite(heading)) {
+    return null;
+  }
+  const radians = toRadians(heading);
+  return { east: speed * Math.sin(radians), north: speed * Math.cos(radians) };
+}
+
+function bindGMeter() {
+  window.addEventListener("devicemotion", event => {
+    const sample = event.accelerationIncludingGravity;
+    if (!sample) {
+      return;
+    }
+    gMeter.handleMotion({ x: sample.x, y: sample.y, z: sample.z, time: event.timeStamp / 1000 });
+  });
+  elements.gmeterCalibrate?.addEventListener("click", async () => {
+    try {
+      await requestMotionPermission();
+    } catch (err) {
+      setGMeterStatus(err.message);
+      return;
     }
+    setGMeterStatus("Calibrating… keep the vehicle still.");
+    gMeter.calibrate().then(setGMeterStatus, err => setGMeterStatus(err.message));
+  });
+  elements.gmeterResetPeak?.addEventListener("click", () => {
+    pushTelemetry(renderGForces(gMeter.resetPeak()));
+  });
+  setGMeterStatus(
+    gMeter.isCalibrated()
+      ? "Mount calibrated. Recalibrate whenever the phone is moved."
+      : "Put the phone in its mount, keep the vehicle still and tap Calibrate Mount."
+  );
+  renderGForces(gMeter.get());
+}
 
-    if (!runStart) {
-      status = "Standby";
-      return get();
+async function requestMotionPermission() {
+  const MotionEvent = window.DeviceMotionEvent;
+  if (!MotionEvent) {
+    throw new Error("No motion sensor available; lateral g is derived from GPS heading instead.");
+  }
+  if (typeof MotionEvent.requestPermission === "function") {
+    const result = await MotionEvent.requestPermission();
+    if (result !== "granted") {
+      throw new Error("Motion sensor access was denied; lateral g is derived from GPS heading instead.");
     }
+  }
+}
 
-    const covered = totalDistance - runStart.distance;
-    if (covered >= QUARTER_MILE_M) {
-      const elapsed = timestamp - runStart.time;
-      if (Number.isFinite(elapsed) && elapsed > 0) {
-        state.lastTime = elapsed;
-        if (state.bestTime === null || elapsed < state.bestTime) {
-          state.bestTime = elapsed;
-        }
-        persistState("quartermile", state);
-        status = "Completed";
-      } else {
-        status = "Standby";
-      }
-      runStart = null;
+function setGMeterStatus(message) {
+  if (elements.gmeterStatus) {
+    elements.gmeterStatus.textContent = message;
+  }
+}
+
+function createGMeter() {
+  const calibrationDefaults = { gravity: null, forward: null, right: null, yaw: 0, yawLong: 0, yawLat: 0 };
+  let calibration = loadState("gmeter_calibration", calibrationDefaults);
+  let sensor = { long: null, lat: null, time: null, sumLong: 0, sumLat: 0, count: 0 };
+  let bias = 0;
+  let gps = { heading: null, time: null, gLong: null, gLat: null };
+  let peak = null;
+  let envelope = new Array(GMETER_ENVELOPE_BUCKETS).fill(0);
+  let trail = [];
+  let collector = null;
+  let lastPublish = 0;
+
+  function handleMotion(sample) {
+    if (![sample.x, sample.y, sample.z].every(Number.isFinite)) {
+      return;
+    }
+    const vector = [sample.x, sample.y, sample.z];
+    if (collector) {
+      collector.samples.push(vector);
+    }
+    if (!calibration.gravity) {
+      return;
+    }
+    const linear = subtractVectors(vector, calibration.gravity);
+    const rawLong = dotVectors(linear, calibration.forward);
+    const rawLat = dotVectors(linear, calibration.right);
+    const cos = Math.cos(calibration.yaw);
+    const sin = Math.sin(calibration.yaw);
+    const long = rawLong * cos + rawLat * sin;
+    const lat = -rawLong * sin + rawLat * cos;
+    const time = Number.isFinite(sample.time) ? sample.time : performance.now() / 1000;
+    const alpha = sensor.time === null ? 1 : smoothingFactor(Math.max(time - sensor.time, 0.001), GMETER_SMOOTHING_S);
+    sensor.long = sensor.long === null ? long : sensor.long + alpha * (long - sensor.long);
+    sensor.lat = sensor.lat === null ? lat : sensor.lat + alpha * (lat - sensor.lat);
+    sensor.time = time;
+    sensor.sumLong += rawLong;
+    sensor.sumLat += rawLat;
+    sensor.count += 1;
+    sensor.receivedAt = Date.now();
+
+    recordPoint(get());
+    if (Date.now() - lastPublish >= GMETER_PUBLISH_INTERVAL_MS) {
+      lastPublish = Date.now();
+      pushTelemetry(renderGForces(get()));
+    }
+  }
+
+  function updateGps({ speed, accel, heading, time }) {
+    if (!Number.isFinite(time)) {
       return get();
     }
+    const headingValid = Number.isFinite(heading) && speed > GMETER_MIN_HEADING_SPEED_MS;
+    let gLat = null;
+    // gps.heading is only kept from the previous fix, so a heading held through a slow section never spans the turn.
+    if (headingValid && Number.isFinite(gps.heading) && time > gps.time) {
+      const turn = ((heading - gps.heading + 540) % 360) - 180;
+      const yawRate = toRadians(turn) / (time - gps.time);
+      gLat = (speed * yawRate) / STANDARD_GRAVITY;
+    }
+    gps = {
+      heading: headingValid ? heading : null,
+      time,
+      gLong: Number.isFinite(accel) ? accel / STANDARD_GRAVITY : null,
+      gLat,
+    };
 
-    if (speed !== null && Number.isFinite(speed) && speed < 0.5) {
-      status = "Standby";
-      runStart = null;
-    } else {
-      const remaining = QUARTER_MILE_M - covered;
-      status = remaining > 0 ? `Running (${remaining.toFixed(1)} m left)` : "Running";
+    if (sensor.count && Number.isFinite(accel)) {
+      const meanLong = sensor.sumLong / sensor.count;
+      const meanLat = sensor.sumLat / sensor.count;
+      // GPS acceleration has no drift, so it slowly pulls the accelerometer's longitudinal bias into line.
+      bias += GMETER_BIAS_GAIN * (accel - (meanLong * Math.cos(calibration.yaw) + meanLat * Math.sin(calibration.yaw)) - bias);
+      if (Math.abs(accel) >= GMETER_YAW_LEARN_ACCEL && speed > GMETER_MIN_HEADING_SPEED_MS) {
+        learnYaw(meanLong, meanLat, accel);
+      }
     }
+    sensor.sumLong = 0;
+    sensor.sumLat = 0;
+    sensor.count = 0;
 
+    recordPoint(get());
     return get();
   }
 
-  function reset() {
-    state = { ...defaults };
-    persistState("quartermile", state);
-    runStart = null;
-    status = "Standby";
+  function learnYaw(meanLong, meanLat, accel) {
+    calibration.yawLong += meanLong * accel;
+    calibration.yawLat += meanLat * accel;
+    calibration.yaw = Math.atan2(calibration.yawLat, calibration.yawLong);
+    persistState("gmeter_calibration", calibration);
+  }
+
+  function calibrate() {
+    return new Promise((resolve, reject) => {
+      collector = { samples: [] };
+      window.setTimeout(() => {
+        const { samples } = collector;
+        collector = null;
+        if (samples.length < GMETER_CALIBRATION_MIN_SAMPLES) {
+          reject(new Error("No motion data received; lateral g is derived from GPS heading instead."));
+          return;
+        }
+        const mean = scaleVector(samples.reduce(addVectors, [0, 0, 0]), 1 / samples.length);
+        const spread = Math.sqrt(
+          samples.reduce((sum, sample) => sum + vectorLength(subtractVectors(sample, mean)) ** 2, 0) / samples.length
+        );
+        if (spread > GMETER_CALIBRATION_MAX_SPREAD) {
+          reject(new Error("Too much movement to calibrate. Keep the vehicle still and try again."));
+          return;
+        }
+        const up = normalizeVector(mean);
+        const forward = horizontalAxis(up, [0, 1, 0]) || horizontalAxis(up, [0, 0, -1]);
+        calibration = {
+          gravity: mean,
+          forward,
+          right: crossVectors(forward, up),
+          yaw: 0,
+          yawLong: 0,
+          yawLat: 0,
+        };
+        bias = 0;
+        persistState("gmeter_calibration", calibration);
+        resolve("Mount calibrated. Forward direction is refined automatically as you accelerate.");
+      }, GMETER_CALIBRATION_MS);
+    });
+  }
+
+  function recordPoint(state) {
+    if (!Number.isFinite(state.gLong) || !Number.isFinite(state.gLat)) {
+      return;
+    }
+    const magnitude = Math.hypot(state.gLong, state.gLat);
+    peak = peak === null ? magnitude : Math.max(peak, magnitude);
+    const angle = Math.atan2(state.gLat, state.gLong);
+    const bucket = Math.floor(((angle + Math.PI) / (2 * Math.PI)) * GMETER_ENVELOPE_BUCKETS) % GMETER_ENVELOPE_BUCKETS;
+    envelope[bucket] = Math.max(envelope[bucket], magnitude);
+    trail.push({ gLong: state.gLong, gLat: state.gLat });
+    if (trail.length > GMETER_TRAIL_LENGTH) {
+      trail.shift();
+    }
+  }
+
+  function isSensorLive() {
+    return Boolean(calibration.gravity) && sensor.long !== null && Date.now() - (sensor.receivedAt || 0) < GMETER_SENSOR_TIMEOUT_MS;
+  }
+
+  function resetReference() {
+    gps = { heading: null, time: null, gLong: null, gLat: null };
+  }
+
+  function resetPeak() {
+    peak = null;
+    envelope = new Array(GMETER_ENVELOPE_BUCKETS).fill(0);
+    trail = [];
     return get();
   }
 
   function get() {
-    return { status, lastTime: state.lastTime, bestTime: state.bestTime };
+    if (isSensorLive()) {
+      return {
+        source: "sensor",
+        gLong: (sensor.long + bias) / STANDARD_GRAVITY,
+        gLat: sensor.lat / STANDARD_GRAVITY,
+        gPeak: peak,
+        envelope,
+        trail,
+      };
+    }
+    return {
+      source: gps.time === null ? null : "gps",
+      gLong: gps.gLong,
+      gLat: gps.gLat,
+      gPeak: peak,
+      envelope,
+      trail,
+    };
   }
 
-  return { update, reset, get };
+  function isCalibrated() {
+    return Boolean(calibration.gravity);
+  }
+
+  return { handleMotion, updateGps, calibrate, resetReference, resetPeak, isCalibrated, get };
 }
 
-function shouldArmRun(speed) {
-  return Number.isFinite(speed) && speed >= 1.0;
+function horizontalAxis(up, axis) {
+  const projected = subtractVectors(axis, scaleVector(up, dotVectors(axis, up)));
+  return vectorLength(projected) < 0.5 ? null : normalizeVector(projected);
 }
 
-function createZeroSixtyTracker() {
-  const defaults = { bestTime: null, lastTime: null };
-  let state = loadState("zero_sixty", defaults);
-  let phase = "idle";
-  let startTime = null;
+function addVectors(a, b) {
+  return [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+}
 
-  function update(speed, timestamp) {
-    if (!Number.isFinite(speed) || !Number.isFinite(timestamp)) {
-      return get();
+function subtractVectors(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function scaleVector(vector, factor) {
+  return vector.map(value => value * factor);
+}
+
+function dotVectors(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function crossVectors(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function vectorLength(vector) {
+  return Math.hypot(vector[0], vector[1], vector[2]);
+}
+
+function normalizeVector(vector) {
+  const length = vectorLength(vector) || 1;
+  return scaleVector(vector, 1 / length);
+}
+
+function drawFrictionCircle(canvas, state) {
+  const context = canvas?.getContext?.("2d");
+  if (!context) {
+    return;
+  }
+  const { width, height } = canvas;
+  const center = { x: width / 2, y: height / 2 };
+  const radius = Math.min(width, height) / 2 - 12;
+  const scale = radius / GMETER_MAX_G;
+  const toPoint = (gLong, gLat) => ({ x: center.x + gLat * scale, y: center.y - gLong * scale });
+
+  context.clearRect(0, 0, width, height);
+  context.strokeStyle = "rgba(124, 135, 152, 0.5)";
+  context.lineWidth = 1;
+  for (let ring = 0.5; ring <= GMETER_MAX_G; ring += 0.5) {
+    context.beginPath();
+    context.arc(center.x, center.y, ring * scale, 0, Math.PI * 2);
+    context.stroke();
+  }
+  context.beginPath();
+  context.moveTo(center.x - radius, center.y);
+  context.lineTo(center.x + radius, center.y);
+  context.moveTo(center.x, center.y - radius);
+  context.lineTo(center.x, center.y + radius);
+  context.stroke();
+
+  context.strokeStyle = "rgba(255, 123, 123, 0.85)";
+  context.lineWidth = 2;
+  context.beginPath();
+  state.envelope.forEach((magnitude, bucket) => {
+    const angle = ((bucket + 0.5) / state.envelope.length) * Math.PI * 2 - Math.PI;
+    const point = toPoint(Math.cos(angle) * magnitude, Math.sin(angle) * magnitude);
+    if (bucket === 0) {
+      context.moveTo(point.x, point.y);
+    } else {
+      context.lineTo(point.x, point.y);
     }
+  });
+  context.closePath();
+  context.stroke();
 
-    switch (phase) {
-      case "idle":
-        if (speed <= 0.5) {
-          phase = "armed";
-        }
-        break;
-      case "armed":
-        if (speed > 0.5) {
-          phase = "running";
-          startTime = timestamp;
-        }
-        break;
-      case "running":
-        if (speed >= ZERO_TO_SIXTY_TARGET_MS) {
-          const elapsed = timestamp - startTime;
-          if (elapsed > 0) {
-            state.lastTime = elapsed;
-            if (state.bestTime === null || elapsed < state.bestTime) {
-              state.bestTime = elapsed;
-            }
-            persistState("zero_sixty", state);
-            phase = "cooldown";
-          } else {
-            phase = "idle";
-          }
-        } else if (speed <= 0.5) {
-          phase = "armed";
-        }
-        break;
-      case "cooldown":
-        if (speed <= 0.5) {
-          phase = "armed";
-        }
-        break;
-      default:
-        phase = "idle";
+  context.fillStyle = "rgba(75, 225, 255, 0.35)";
+  state.trail.forEach(entry => {
+    const point = toPoint(entry.gLong, entry.gLat);
+    context.fillRect(point.x - 1.5, point.y - 1.5, 3, 3);
+  });
+
+  if (Number.isFinite(state.gLong) && Number.isFinite(state.gLat)) {
+    const point = toPoint(state.gLong, state.gLat);
+    context.fillStyle = "#00ff9c";
+    context.beginPath();
+    context.arc(point.x, point.y, 7, 0, Math.PI * 2);
+    context.fill();
+  }
+}
+
+function createSignalMonitor() {
+  let intervals = [];
+  let history = [];
+  let last = null;
+  let lost = null;
+
+  function record(position) {
+    const { coords } = position;
+    lost = null;
+    if (last && position.timestamp > last.timestamp) {
+      intervals.push(position.timestamp - last.timestamp);
+      if (intervals.length > SIGNAL_INTERVAL_WINDOW) {
+        intervals.shift();
+      }
+    }
+    last = {
+      timestamp: position.timestamp,
+      receivedAt: Date.now(),
+      accuracy: Number.isFinite(coords.accuracy) ? coords.accuracy : null,
+      altitudeAccuracy: Number.isFinite(coords.altitudeAccuracy) ? coords.altitudeAccuracy : null,
+      speedSource: Number.isFinite(coords.speed) ? "device" : "derived",
+    };
+    history.push(last.accuracy);
+    if (history.length > SIGNAL_HISTORY_LENGTH) {
+      history.shift();
     }
+    return get();
+  }
 
+  function markLost(err, now = Date.now()) {
+    lost = {
+      reason: SIGNAL_LOSS_REASONS[err?.code] || "unknown",
+      since: lost ? lost.since : now,
+      retryAt: Number.isFinite(err?.retryInMs) ? now + err.retryInMs : null,
+    };
     return get();
   }
 
   function reset() {
-    state = { ...defaults };
-    persistState("zero_sixty", state);
-    phase = "idle";
-    startTime = null;
+    intervals = [];
+    history = [];
+    last = null;
+    lost = null;
     return get();
   }
 
   function get() {
-    return { lastTime: state.lastTime, bestTime: state.bestTime };
+    const mean = intervals.length ? intervals.reduce((sum, value) => sum + value, 0) / intervals.length : null;
+    const jitter = intervals.length > 1
+      ? Math.sqrt(intervals.reduce((sum, value) => sum + (value - mean) ** 2, 0) / intervals.length)
+      : null;
+    const rateHz = mean ? 1000 / mean : null;
+    const now = Date.now();
+    const ageSeconds = last ? Math.max(0, (now - last.receivedAt) / 1000) : null;
+    const weak = Boolean(lost) || (Boolean(last) && (
+      ageSeconds > SIGNAL_STALE_S ||
+      (last.accuracy !== null && last.accuracy > SIGNAL_WEAK_ACCURACY_M) ||
+      (rateHz !== null && rateHz < SIGNAL_MIN_RATE_HZ)
+    ));
+    return {
+      rateHz,
+      jitterMs: jitter,
+      accuracy: last ? last.accuracy : null,
+      altitudeAccuracy: last ? last.altitudeAccuracy : null,
+      ageSeconds: ageSeconds === null ? null : Math.round(ageSeconds),
+      speedSource: last ? last.speedSource : null,
+      weak,
+      lost: Boolean(lost),
+      lostReason: lost ? lost.reason : null,
+      lostSeconds: lost ? Math.round((now - lost.since) / 1000) : null,
+      retrySeconds: lost && lost.retryAt !== null ? Math.max(0, Math.ceil((lost.retryAt - now) / 1000)) : null,
+      history,
+    };
   }
 
-  return { update, reset, get };
+  return { record, markLost, reset, get };
+}
+
+function drawAccuracyHistory(canvas, history) {
+  const context = canvas?.getContext?.("2d");
+  if (!context) {
+    return;
+  }
+  const { width, height } = canvas;
+  const values = history.filter(Number.isFinite);
+  const ceiling = Math.max(SIGNAL_WEAK_ACCURACY_M * 1.5, ...values);
+  const barWidth = width / SIGNAL_HISTORY_LENGTH;
+  const toY = value => height - (value / ceiling) * (height - 4);
+
+  context.clearRect(0, 0, width, height);
+  context.strokeStyle = "rgba(255, 123, 123, 0.6)";
+  context.setLineDash([4, 4]);
+  context.beginPath();
+  context.moveTo(0, toY(SIGNAL_WEAK_ACCURACY_M));
+  context.lineTo(width, toY(SIGNAL_WEAK_ACCURACY_M));
+  context.stroke();
+  context.setLineDash([]);
+
+  const offset = SIGNAL_HISTORY_LENGTH - history.length;
+  history.forEach((value, index) => {
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    context.fillStyle = value > SIGNAL_WEAK_ACCURACY_M ? "#ff7b7b" : "#4be1ff";
+    const y = toY(value);
+    context.fillRect((offset + index) * barWidth, y, Math.max(barWidth - 1, 1), height - y);
+  });
 }
 
 function createDefaultTelemetrySnapshot() {
@@ -823,9 +6907,26 @@ function createDefaultTelemetrySnapshot() {
     speedMph: null,
     speedKph: null,
     speedKnots: null,
+    speedAlert: "none",
+    speedAlertLevel: 0,
+    speedAlertThreshold: null,
     speedMin: null,
     speedMax: null,
     speedAvg: null,
+    movingSeconds: 0,
+    stoppedSeconds: 0,
+    speedAvgMoving: null,
+    speedAvgElapsed: null,
+    sessionMovingSeconds: 0,
+    sessionStoppedSeconds: 0,
+    sessionSpeedAvgMoving: null,
+    sessionSpeedAvgElapsed: null,
+    vehicleId: DEFAULT_VEHICLE_PROFILE,
+    vehicleName: null,
+    vehicleWeightKg: null,
+    speedCorrection: 1,
+    speedBands: [],
+    speedRolling: {},
     accelCurrent: null,
     decelCurrent: null,
     peakAccel: null,
@@ -833,11 +6934,99 @@ function createDefaultTelemetrySnapshot() {
     distanceMeters: 0,
     distanceKm: 0,
     distanceMiles: 0,
-    quarterStatus: "Standby",
+    odometerMeters: 0,
+    tripAMeters: null,
+    tripASeconds: null,
+    tripAMovingSeconds: null,
+    tripAAvgSpeed: null,
+    tripBMeters: null,
+    tripBSeconds: null,
+    tripBMovingSeconds: null,
+    tripBAvgSpeed: null,
+    tripMeters: null,
+    tripSeconds: null,
+    tripMovingSeconds: null,
+    tripAvgSpeed: null,
+    tripCount: 0,
+    quarterStatus: "Stop to stage",
     quarterLast: null,
     quarterBest: null,
+    dragPhase: "waiting",
+    drag60ft: null,
+    drag330ft: null,
+    dragEighth: null,
+    dragEighthTrap: null,
+    drag1000ft: null,
+    dragQuarter: null,
+    dragQuarterTrap: null,
+    dragErrors: {},
+    dragRunCount: 0,
+    brakePhase: "idle",
+    brakeStatus: "Waiting for start speed",
+    brakeEntrySpeed: null,
+    brakeDistance: null,
+    brakeDistanceNominal: null,
+    brakeTime: null,
+    brakeMeanDecel: null,
+    brakeMeanG: null,
+    brakePeakDecel: null,
+    brakePeakG: null,
+    brakeRunCount: 0,
+    speedRanges: {},
     zeroSixtyLast: null,
     zeroSixtyBest: null,
+    lapPhase: "waiting",
+    lapStatus: "Set a start line",
+    lapLayout: null,
+    lapNumber: 0,
+    lapCurrent: null,
+    lapCurrentSectors: [],
+    lapDelta: null,
+    lapPredicted: null,
+    lapLast: null,
+    lapLastError: null,
+    lapLastSectors: [],
+    lapBest: null,
+    lapBestError: null,
+    lapBestSectors: [],
+    lapCount: 0,
+    speedRaw: null,
+    speedFiltered: null,
+    accelRaw: null,
+    accelFiltered: null,
+    filterEnabled: false,
+    fixesAccepted: 0,
+    fixesRejected: 0,
+    fixesRejectedAccuracy: 0,
+    fixesRejectedJump: 0,
+    fixRejectReason: null,
+    stationary: false,
+    altitude: null,
+    altitudeRaw: null,
+    altitudeFeet: null,
+    verticalSpeedMpm: null,
+    verticalSpeedFpm: null,
+    grade: null,
+    ascentMeters: 0,
+    descentMeters: 0,
+    gLong: null,
+    gLat: null,
+    gPeak: null,
+    gSource: null,
+    signalRateHz: null,
+    signalJitterMs: null,
+    signalAccuracy: null,
+    signalAltitudeAccuracy: null,
+    signalAgeSeconds: null,
+    speedSource: null,
+    signalWeak: false,
+    signalLost: false,
+    signalLostReason: null,
+    signalLostSeconds: null,
+    satellites: null,
+    satellitesInView: null,
+    hdop: null,
+    fixQuality: null,
     updatedAt: Date.now(),
   };
 }
@@ -898,6 +7087,14 @@ function updateCustomDisplayList(listElement, displays) {
     if (display.sources?.js) parts.push("JS");
     const suffix = parts.length ? ` (${parts.join(" + ")})` : "";
     li.textContent = `${display.label}${suffix}`;
+    if (display.id) {
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.className = "upload-list__remove";
+      remove.dataset.displayRemove = display.id;
+      remove.textContent = "Remove";
+      li.appendChild(remove);
+    }
     listElement.appendChild(li);
   });
 }
@@ -1091,22 +7288,20 @@ function createDisplayUploadManager(elements, onDisplayReady) {
       const label = formatDisplayLabel(group.baseName);
       try {
         const content = await readGroupFiles(group);
-        const page = document.createElement("article");
-        page.className = "display-page display-page--external";
-        page.dataset.label = label;
-        const frame = document.createElement("iframe");
-        frame.title = `${label} display`;
-        frame.loading = "lazy";
-        frame.setAttribute("sandbox", "allow-scripts");
-        frame.srcdoc = composeModuleDocument(content);
-        page.appendChild(frame);
-        track.appendChild(page);
-        const sources = {
-          html: group.html?.name ?? null,
-          css: group.css?.name ?? null,
-          js: group.js?.name ?? null,
+        const record = {
+          id: createRunId(),
+          label,
+          sources: {
+            html: group.html?.name ?? null,
+            css: group.css?.name ?? null,
+            js: group.js?.name ?? null,
+          },
+          content,
+          savedAt: Date.now(),
         };
-        onDisplayReady?.(frame, { label, sources });
+        const frame = mountCustomDisplay(track, record);
+        onDisplayReady?.(frame, { id: record.id, label, sources: record.sources });
+        saveDisplayRecord(record).catch(err => console.warn("Unable to save custom display", err));
         processed += 1;
       } catch (err) {
         console.error("Unable to load custom display", err);
@@ -1120,6 +7315,68 @@ function createDisplayUploadManager(elements, onDisplayReady) {
   });
 }
 
+function mountCustomDisplay(track, record) {
+  const page = document.createElement("article");
+  page.className = "display-page display-page--external";
+  page.dataset.label = record.label;
+  page.dataset.displayId = record.id;
+  const frame = document.createElement("iframe");
+  frame.title = `${record.label} display`;
+  frame.loading = "lazy";
+  frame.setAttribute("sandbox", "allow-scripts");
+  frame.srcdoc = composeModuleDocument(record.content);
+  page.appendChild(frame);
+  track.appendChild(page);
+  return frame;
+}
+
+// Uploaded displays are kept in IndexedDB and mounted again on the next visit.
+async function restoreSavedDisplays(elements, carousel) {
+  if (!elements.track) {
+    return;
+  }
+  try {
+    const records = await loadDisplayRecords();
+    records
+      .filter(record => record?.content)
+      .sort((a, b) => a.savedAt - b.savedAt)
+      .forEach(record => {
+        const frame = mountCustomDisplay(elements.track, record);
+        registerCustomDisplayFrame(frame, { id: record.id, label: record.label, sources: record.sources }, elements.uploadList);
+      });
+    carousel.refreshPages();
+  } catch (err) {
+    console.warn("Unable to restore custom displays", err);
+  }
+}
+
+function bindCustomDisplayList(elements) {
+  elements.uploadList?.addEventListener("click", async event => {
+    const target = event.target.closest("[data-display-remove]");
+    if (!target) {
+      return;
+    }
+    const id = target.dataset.displayRemove;
+    const index = customDisplayMeta.findIndex(display => display.id === id);
+    if (index === -1 || !window.confirm(`Remove the ${customDisplayMeta[index].label} display?`)) {
+      return;
+    }
+    const page = elements.track?.querySelector(`[data-display-id="${id}"]`);
+    const frame = page?.querySelector("iframe");
+    if (frame) {
+      customDisplayFrames.delete(frame);
+    }
+    page?.remove();
+    customDisplayMeta.splice(index, 1);
+    updateCustomDisplayList(elements.uploadList, customDisplayMeta);
+    try {
+      await deleteDisplayRecord(id);
+    } catch (err) {
+      window.alert(`Unable to remove display: ${err.message}`);
+    }
+  });
+}
+
 function groupFilesByBasename(files) {
   const groups = new Map();
   files.forEach(file => {
@@ -0,0 +1,86 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScriptFunctions } = require("./helpers/load-script");
+
+const STANDARD_GRAVITY = 9.80665;
+
+// createGMeter only needs persistence, telemetry and a timer from the page.
+function createMeter() {
+  const timers = [];
+  const { createGMeter } = loadScriptFunctions(["createGMeter"], {
+    loadState: (key, fallback) => fallback,
+    persistState: () => {},
+    pushTelemetry: () => {},
+    renderGForces: state => state,
+    performance: { now: () => 0 },
+    window: { setTimeout: callback => timers.push(callback) },
+  });
+  const meter = createGMeter();
+  return { meter, finishTimers: () => timers.splice(0).forEach(callback => callback()) };
+}
+
+// A phone lying flat: accelerationIncludingGravity reads +1 g on z, forward is +y and right is +x.
+function motionSample(time, { forward = 0, right = 0, jitter = 0 } = {}) {
+  return { x: right + jitter, y: forward - jitter, z: STANDARD_GRAVITY + jitter, time };
+}
+
+async function calibrateFlat(meter, finishTimers) {
+  const calibration = meter.calibrate();
+  for (let i = 0; i < 20; i += 1) {
+    meter.handleMotion(motionSample(i * 0.02, { jitter: 0.02 * Math.sin(i) }));
+  }
+  finishTimers();
+  return calibration;
+}
+
+test("calibration learns the mount and motion samples resolve into long and lat g", async () => {
+  const { meter, finishTimers } = createMeter();
+  assert.equal(meter.isCalibrated(), false);
+  await calibrateFlat(meter, finishTimers);
+  assert.equal(meter.isCalibrated(), true);
+
+  for (let i = 0; i < 50; i += 1) {
+    meter.handleMotion(motionSample(1 + i * 0.02, { forward: 0.3 * STANDARD_GRAVITY, right: -0.5 * STANDARD_GRAVITY }));
+  }
+  const state = meter.get();
+  assert.equal(state.source, "sensor");
+  assert.ok(Math.abs(state.gLong - 0.3) < 0.01, `gLong ${state.gLong}`);
+  assert.ok(Math.abs(state.gLat + 0.5) < 0.01, `gLat ${state.gLat}`);
+  assert.ok(Math.abs(state.gPeak - Math.hypot(0.3, 0.5)) < 0.01, `gPeak ${state.gPeak}`);
+});
+
+test("calibration is refused while the vehicle is moving", async () => {
+  const { meter, finishTimers } = createMeter();
+  const calibration = meter.calibrate();
+  for (let i = 0; i < 20; i += 1) {
+    meter.handleMotion(motionSample(i * 0.02, { forward: i % 2 ? 3 : -3 }));
+  }
+  finishTimers();
+  await assert.rejects(calibration, /Too much movement/);
+  assert.equal(meter.isCalibrated(), false);
+});
+
+test("without a motion sensor lateral g comes from heading rate and speed", () => {
+  const { meter } = createMeter();
+  let state;
+  for (let i = 0; i < 5; i += 1) {
+    state = meter.updateGps({ speed: 20, accel: 0, heading: i * 10, time: i });
+  }
+  assert.equal(state.source, "gps");
+  const expected = (20 * ((10 * Math.PI) / 180)) / STANDARD_GRAVITY;
+  assert.ok(Math.abs(state.gLat - expected) < 1e-9, `gLat ${state.gLat}`);
+});
+
+test("a heading held through a slow section does not turn into a lateral spike", () => {
+  const { meter } = createMeter();
+  meter.updateGps({ speed: 20, accel: 0, heading: 0, time: 0 });
+  // Crawling round a hairpin: headings below the speed threshold are not trusted.
+  for (let i = 1; i <= 10; i += 1) {
+    meter.updateGps({ speed: 2, accel: 0, heading: i * 18, time: i });
+  }
+  let state = meter.updateGps({ speed: 20, accel: 0, heading: 180, time: 11 });
+  assert.equal(state.gLat, null);
+  state = meter.updateGps({ speed: 20, accel: 0, heading: 181, time: 12 });
+  assert.ok(Math.abs(state.gLat - (20 * (Math.PI / 180)) / STANDARD_GRAVITY) < 1e-9);
+  assert.ok(state.gPeak < 0.1, `gPeak ${state.gPeak}`);
+});
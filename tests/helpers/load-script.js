@@ -0,0 +1,22 @@
+// script.js is a single browser script, so tests evaluate its function declarations and
+// the constants at the top of the file in a fresh context instead of booting the page.
+// `globals` are applied afterwards, so they can also stand in for app functions such as loadState.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const SCRIPT_PATH = path.join(__dirname, "..", "..", "script.js");
+const CONSTANTS_END = "\nconst elements = {";
+
+function loadScriptFunctions(names, globals = {}) {
+  const source = fs.readFileSync(SCRIPT_PATH, "utf8");
+  const constants = source.slice(0, source.indexOf(CONSTANTS_END));
+  const functions = [...source.matchAll(/^(?:async )?function \w+\(/gm)]
+    .map(match => source.slice(match.index, source.indexOf("\n}\n", match.index) + 2));
+  const context = vm.createContext({});
+  vm.runInContext(`${functions.join("\n\n")}\n${constants}`, context);
+  Object.assign(context, globals);
+  return vm.runInContext(`({ ${names.join(", ")} })`, context);
+}
+
+module.exports = { loadScriptFunctions };
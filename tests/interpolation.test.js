@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScriptFunctions } = require("./helpers/load-script");
+
+const {
+  interpolateDistanceCrossing,
+  interpolateSpeedCrossing,
+  estimateLaunchTime,
+} = loadScriptFunctions(["interpolateDistanceCrossing", "interpolateSpeedCrossing", "estimateLaunchTime"]);
+
+// Samples { time, speed, distance } of a motion, taken every `interval` seconds starting at `from`.
+function sampleStream(motion, from, to, interval = 1) {
+  const samples = [];
+  for (let time = from; time <= to + 1e-9; time += interval) {
+    samples.push({ time, speed: motion.speed(time), distance: motion.distance(time) });
+  }
+  return samples;
+}
+
+function bracket(samples, key, threshold) {
+  const index = samples.findIndex(sample => sample[key] >= threshold);
+  return [samples[index - 2], samples[index - 1], samples[index]];
+}
+
+function launch(accel, at) {
+  return {
+    speed: time => Math.max(0, time - at) * accel,
+    distance: time => 0.5 * accel * Math.max(0, time - at) ** 2,
+  };
+}
+
+function assertWithinBound(crossing, truth) {
+  assert.ok(crossing, "expected a crossing");
+  assert.ok(
+    Math.abs(crossing.time - truth) <= crossing.error + 1e-9,
+    `crossing ${crossing.time} is more than ${crossing.error} s from ${truth}`
+  );
+}
+
+test("distance crossings under constant acceleration land inside their error bound", () => {
+  for (const offset of [0.05, 0.37, 0.81]) {
+    const motion = launch(3, offset);
+    const samples = sampleStream(motion, -3, 20);
+    for (const mark of [18.288, 100.584, 201.168, 402.336]) {
+      const [, a, b] = bracket(samples, "distance", mark);
+      const truth = offset + Math.sqrt((2 * mark) / 3);
+      const crossing = interpolateDistanceCrossing(a, b, mark);
+      assertWithinBound(crossing, truth);
+      assert.ok(Math.abs(crossing.time - truth) < 0.01, "the Hermite fit should be far closer than the fix spacing");
+    }
+  }
+});
+
+test("distance crossings without speeds fall back to the bracketing interval", () => {
+  const a = { time: 4, speed: null, distance: 10 };
+  const b = { time: 5, speed: null, distance: 30 };
+  const crossing = interpolateDistanceCrossing(a, b, 15);
+  assert.equal(crossing.time, 4.25);
+  assert.equal(crossing.error, 0.75);
+});
+
+test("distance crossings return null when the samples do not bracket the mark", () => {
+  const a = { time: 1, speed: 5, distance: 10 };
+  const b = { time: 2, speed: 6, distance: 15 };
+  assert.equal(interpolateDistanceCrossing(a, b, 20), null);
+});
+
+test("speed crossings are exact for constant acceleration and bounded under jerk", () => {
+  const steady = sampleStream(launch(3, 0.37), -3, 20);
+  const [before, a, b] = bracket(steady, "speed", 26.8224);
+  const crossing = interpolateSpeedCrossing(before, a, b, 26.8224);
+  assert.ok(Math.abs(crossing.time - (0.37 + 26.8224 / 3)) < 1e-6);
+  assert.ok(crossing.error < 1e-6);
+
+  // Acceleration fading as the car approaches top speed.
+  const fading = {
+    speed: time => 40 * (1 - Math.exp(-time / 8)),
+    distance: time => 40 * (time - 8 * (1 - Math.exp(-time / 8))),
+  };
+  const samples = sampleStream(fading, 0, 30, 1);
+  for (const threshold of [13.4112, 26.8224]) {
+    const [previous, start, end] = bracket(samples, "speed", threshold);
+    const truth = -8 * Math.log(1 - threshold / 40);
+    assertWithinBound(interpolateSpeedCrossing(previous, start, end, threshold), truth);
+  }
+});
+
+test("speed crossings handle falling speeds for braking", () => {
+  const speed = time => 30 - 8 * time - 0.5 * time * time;
+  const [before, a, b] = [0, 1, 2].map(time => ({ time, speed: speed(time) }));
+  const truth = -8 + Math.sqrt(64 + 20);
+  assertWithinBound(interpolateSpeedCrossing(before, a, b, 20), truth);
+});
+
+test("speed crossings without an earlier fix are bounded by the interval", () => {
+  const crossing = interpolateSpeedCrossing(null, { time: 2, speed: 10 }, { time: 3, speed: 20 }, 12);
+  assert.ok(Math.abs(crossing.time - 2.2) < 1e-9);
+  assert.ok(Math.abs(crossing.error - 0.8) < 1e-9);
+});
+
+test("launch time is recovered from the first moving fix", () => {
+  for (const offset of [0.1, 0.5, 0.9]) {
+    const samples = sampleStream(launch(4, offset), -2, 3);
+    const moving = samples.findIndex(sample => sample.speed > 0);
+    const estimate = estimateLaunchTime(samples[moving - 1], samples[moving]);
+    assert.ok(Math.abs(estimate.time - offset) < 1e-9);
+    assertWithinBound(estimate, offset);
+  }
+});
+
+test("launch time falls back to the stopped fix when nothing moved", () => {
+  const estimate = estimateLaunchTime({ time: 1, speed: 0, distance: 0 }, { time: 2, speed: 0, distance: 0 });
+  assert.equal(estimate.time, 1);
+  assert.equal(estimate.error, 1);
+});
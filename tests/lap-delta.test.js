@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScriptFunctions } = require("./helpers/load-script");
+
+const { projectOntoTrace } = loadScriptFunctions(["projectOntoTrace"]);
+
+const ORIGIN = { lat: 51, lon: -1 };
+const METERS_PER_DEGREE = (6371000 * Math.PI) / 180;
+
+function toPosition(east, north) {
+  return {
+    lat: ORIGIN.lat + north / METERS_PER_DEGREE,
+    lon: ORIGIN.lon + east / (METERS_PER_DEGREE * Math.cos((ORIGIN.lat * Math.PI) / 180)),
+  };
+}
+
+// A circular reference lap of the given radius driven at a steady speed, one trace point per second.
+function circleTrace(radius, speed) {
+  const trace = [];
+  const lapTime = (2 * Math.PI * radius) / speed;
+  for (let time = 0; time <= lapTime; time += 1) {
+    const angle = (speed * time) / radius;
+    const { lat, lon } = toPosition(radius * Math.sin(angle), radius * Math.cos(angle));
+    trace.push([time, speed * time, lat, lon]);
+  }
+  return trace;
+}
+
+test("a position on the reference path maps to when the reference lap passed it", () => {
+  const trace = circleTrace(200, 30);
+  const angle = 1.3;
+  const match = projectOntoTrace(trace, toPosition(200 * Math.sin(angle), 200 * Math.cos(angle)), 7);
+  assert.ok(Math.abs(match.time - (angle * 200) / 30) < 0.05, `time ${match.time}`);
+});
+
+test("a wider line through the same point on track gets the same reference time", () => {
+  const trace = circleTrace(200, 30);
+  // Five metres wide of the reference line covers more distance but is at the same place on track.
+  const angle = 2.5;
+  const match = projectOntoTrace(trace, toPosition(205 * Math.sin(angle), 205 * Math.cos(angle)), 15);
+  assert.ok(Math.abs(match.time - (angle * 200) / 30) < 0.05, `time ${match.time}`);
+});
+
+test("the search continues from the previous match so a parallel stretch is not picked", () => {
+  // Out along the x axis and back 20 m to the side: the return leg passes next to the outward leg.
+  const trace = [];
+  for (let time = 0; time <= 20; time += 1) {
+    const { lat, lon } = toPosition(time * 10, 0);
+    trace.push([time, time * 10, lat, lon]);
+  }
+  for (let time = 21; time <= 40; time += 1) {
+    const { lat, lon } = toPosition(200 - (time - 20) * 10, 20);
+    trace.push([time, time * 10, lat, lon]);
+  }
+  const returning = toPosition(100, 12);
+  assert.ok(projectOntoTrace(trace, returning, 0).time < 20, "from the start the outward leg is closer");
+  const match = projectOntoTrace(trace, returning, 28);
+  assert.ok(Math.abs(match.time - 30) < 0.05, `time ${match.time}`);
+});
+
+test("positions far from the reference path have no match", () => {
+  const trace = circleTrace(200, 30);
+  assert.equal(projectOntoTrace(trace, toPosition(0, 0)), null);
+});
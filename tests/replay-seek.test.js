@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScriptFunctions } = require("./helpers/load-script");
+
+const ORIGIN = { lat: 51, lon: -1 };
+const METERS_PER_DEGREE = (6371000 * Math.PI) / 180;
+
+// A fix `north` and `east` metres from ORIGIN, where the start line runs east-west for northbound traffic.
+function fixAt(time, north, east = 0) {
+  return {
+    time,
+    lat: ORIGIN.lat + north / METERS_PER_DEGREE,
+    lon: ORIGIN.lon + east / (METERS_PER_DEGREE * Math.cos((ORIGIN.lat * Math.PI) / 180)),
+    distance: time * 20,
+    speed: 20,
+  };
+}
+
+// Crosses the start line, then loops round clear of it to end up 30 m short of it at 17 s.
+function driveLoop(lapTimer) {
+  [fixAt(0, -20), fixAt(1, 0.5), fixAt(2, 20)].forEach(lapTimer.update);
+  for (let time = 3; time <= 7; time += 1) {
+    lapTimer.update(fixAt(time, 20, (time - 2) * 20));
+  }
+  for (let time = 8; time <= 12; time += 1) {
+    lapTimer.update(fixAt(time, 20 - (time - 7) * 10, 100));
+  }
+  for (let time = 13; time <= 17; time += 1) {
+    lapTimer.update(fixAt(time, -30, 100 - (time - 12) * 20));
+  }
+}
+
+function createHistory() {
+  const added = [];
+  return { added, list: () => [], best: () => null, add: entry => added.push(entry) };
+}
+
+function loadLapTimer(history) {
+  const { createLapTimer } = loadScriptFunctions(["createLapTimer"], {
+    loadState: (key, defaults) => defaults,
+    persistState: () => {},
+  });
+  const lapTimer = createLapTimer(history);
+  lapTimer.setLine("start", { ...ORIGIN, heading: 0 });
+  return lapTimer;
+}
+
+test("seeking the replay aborts every timer", () => {
+  const calls = [];
+  const timer = name => ({ abort: reason => calls.push([name, reason]) });
+  const { handleReplaySeek, REPLAY_SEEK_STATUS } = loadScriptFunctions(["handleReplaySeek", "REPLAY_SEEK_STATUS"], {
+    resetMotionState: () => calls.push(["motion"]),
+    pushTelemetry: () => {},
+    renderDragStrip: () => ({}),
+    renderBrakeTest: () => ({}),
+    renderSpeedRanges: () => ({}),
+    renderLapTimer: () => ({}),
+    dragStrip: timer("drag"),
+    brakeTest: timer("brake"),
+    speedRangeTimers: timer("speedRange"),
+    lapTimer: timer("lap"),
+  });
+  handleReplaySeek();
+  assert.equal(calls.map(([name]) => name).join(), "motion,drag,brake,speedRange,lap");
+  assert.equal(calls.find(([name]) => name === "lap")[1], REPLAY_SEEK_STATUS);
+});
+
+test("the replay controller reports a seek", () => {
+  let seeks = 0;
+  const { createReplayController } = loadScriptFunctions(["createReplayController"], {
+    window: { setTimeout: () => 1, clearTimeout: () => {} },
+  });
+  const controller = createReplayController({ onSeek: () => { seeks += 1; } });
+  controller.load([{ time: 0 }, { time: 1000 }, { time: 2000 }], "drive");
+  controller.seek(0.5);
+  assert.equal(seeks, 1);
+});
+
+test("after an abort the lap timer does not pair fixes from either side of a seek", () => {
+  const history = createHistory();
+  const lapTimer = loadLapTimer(history);
+  driveLoop(lapTimer);
+  assert.equal(lapTimer.get().phase, "running");
+  lapTimer.abort("Aborted (replay seek)");
+  lapTimer.update(fixAt(5, 10));
+  assert.equal(lapTimer.get().phase, "waiting");
+  assert.equal(history.added.length, 0);
+});
+
+test("a fix older than the previous one never closes a lap", () => {
+  const history = createHistory();
+  const lapTimer = loadLapTimer(history);
+  driveLoop(lapTimer);
+  assert.equal(lapTimer.get().phase, "running");
+  // Without a seek hook, jumping back in time crosses the start line between two distant fixes.
+  lapTimer.update(fixAt(5, 10));
+  assert.equal(lapTimer.get().phase, "waiting");
+  assert.equal(history.added.length, 0);
+});
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScriptFunctions } = require("./helpers/load-script");
+
+// Boots the storage module on an in-memory localStorage holding `items`.
+function openStorage(items) {
+  const stored = new Map(Object.entries(items));
+  const warnings = [];
+  const { createStorage, STORAGE_SCHEMA_KEY, STORAGE_SCHEMA_VERSION } = loadScriptFunctions(
+    ["createStorage", "STORAGE_SCHEMA_KEY", "STORAGE_SCHEMA_VERSION"],
+    {
+      window: { addEventListener: () => {}, setTimeout: () => 1, clearTimeout: () => {} },
+      document: { addEventListener: () => {} },
+      console: { warn: message => warnings.push(message) },
+      readStorageItem: key => (stored.has(key) ? stored.get(key) : null),
+      writeStorageItem: (key, value) => stored.set(key, value),
+      removeStorageItem: key => stored.delete(key),
+    },
+  );
+  const storage = createStorage();
+  return { storage, stored, warnings, schemaKey: STORAGE_SCHEMA_KEY, latest: STORAGE_SCHEMA_VERSION };
+}
+
+test("every migration runs and the latest version is stored", () => {
+  const { storage, stored, schemaKey, latest } = openStorage({
+    distance: JSON.stringify({ total: 1200 }),
+    speed_stats: JSON.stringify({ count: 3 }),
+  });
+  assert.equal(storage.getVersion(), latest);
+  assert.equal(stored.get(schemaKey), String(latest));
+  assert.equal(JSON.parse(stored.get("trips:default")).odometer, 1200);
+  assert.equal(stored.has("speed_stats"), false);
+});
+
+test("a failing migration stops the later ones and keeps the last version that succeeded", () => {
+  // The v2 odometer migration cannot parse this, so it throws.
+  const { storage, stored, warnings, schemaKey } = openStorage({
+    distance: "{not json",
+    speed_stats: JSON.stringify({ count: 3 }),
+  });
+  assert.equal(storage.getVersion(), 1);
+  assert.equal(stored.get(schemaKey), "1");
+  assert.equal(warnings.length, 1);
+  // The v3 step never ran, so the unscoped key is still where it was.
+  assert.equal(stored.get("speed_stats"), JSON.stringify({ count: 3 }));
+  assert.equal(stored.has("speed_stats:default"), false);
+});
+
+test("a failed step is retried on the next load", () => {
+  const { stored } = openStorage({ distance: "{not json" });
+  stored.set("distance", JSON.stringify({ total: 50 }));
+  const retry = openStorage(Object.fromEntries(stored));
+  assert.equal(retry.storage.getVersion(), retry.latest);
+  assert.equal(JSON.parse(retry.stored.get("trips:default")).odometer, 50);
+});